@@ -18,6 +18,9 @@ module ChartTableConcern
     unless turbo_frame_request?
       # Setup chart data first using original time range (no sorting from table)
       setup_chart_data(ransack_params)
+      setup_comparison_chart_data(ransack_params) if comparison_enabled?
+      setup_heatmap_chart_data(ransack_params) if heatmap_chart_class
+      setup_histogram_chart_data(ransack_params) if histogram_chart_class
       setup_chart_formatters
     end
 
@@ -30,19 +33,90 @@ module ChartTableConcern
 
   def setup_chart_data(ransack_params)
     chart_ransack_params = build_chart_ransack_params(ransack_params)
+    @chart_data = build_chart_data(chart_ransack_params, @start_time, @end_time)
+  end
+
+  # Chart data for the period preceding the selected range, keyed by the matching
+  # timestamps of the current period so the chart can overlay it on the same x-axis
+  def setup_comparison_chart_data(ransack_params)
+    period = comparison_period
+    previous_start_time = (Time.zone.at(@start_time) - period).to_i
+    previous_end_time = (Time.zone.at(@end_time) - period).to_i
+
+    chart_ransack_params = build_chart_ransack_params(ransack_params).merge(
+      period_start_gteq: Time.at(previous_start_time),
+      period_start_lt: Time.at(previous_end_time)
+    )
+
+    @comparison_chart_data = build_chart_data(chart_ransack_params, previous_start_time, previous_end_time)
+      .transform_keys { |timestamp| (Time.zone.at(timestamp) + period).to_i }
+  end
+
+  # The ranges are padded to whole hours or days, so the day and week presets compare
+  # against the day or week before them rather than the padded length. Months differ
+  # in length and a calendar month maps several month-end days onto one, so the month
+  # preset shifts by its span in whole days. Custom ranges compare against the span of
+  # the same length right before them.
+  def comparison_period
+    case @selected_time_range.to_s
+    when "last_day" then 1.day
+    when "last_week" then 1.week
+    when "last_month" then ((@end_time - @start_time + 1) / 1.day.to_f).round.days
+    else (@end_time - @start_time + 1).seconds
+    end
+  end
+
+  def build_chart_data(chart_ransack_params, start_time, end_time)
     chart_ransack_query = chart_model.ransack(chart_ransack_params)
-    @chart_data = chart_class.new(
+    chart_class.new(
       ransack_query: chart_ransack_query,
+      period_type: period_type,
+      start_time: start_time,
+      end_time: end_time,
+      start_duration: @start_duration,
+      disabled_tags: session_disabled_tags,
+      show_non_tagged: session[:show_non_tagged] != false,
+      **chart_options
+    ).to_chart_data
+  end
+
+  # Request counts per period and duration bucket for the latency heatmap
+  def setup_heatmap_chart_data(ransack_params)
+    @heatmap_chart_data = heatmap_chart_class.new(
       period_type: period_type,
       start_time: @start_time,
       end_time: @end_time,
       start_duration: @start_duration,
+      ransack_params: record_chart_ransack_params(ransack_params),
       disabled_tags: session_disabled_tags,
       show_non_tagged: session[:show_non_tagged] != false,
       **chart_options
     ).to_chart_data
   end
 
+  # Duration distribution with its p50/p95/p99 for the histogram chart
+  def setup_histogram_chart_data(ransack_params)
+    @histogram_chart_data = histogram_chart_class.new(
+      start_time: @start_time,
+      end_time: @end_time,
+      start_duration: @start_duration,
+      ransack_params: record_chart_ransack_params(ransack_params),
+      disabled_tags: session_disabled_tags,
+      show_non_tagged: session[:show_non_tagged] != false,
+      **chart_options
+    ).to_chart_data
+  end
+
+  # The page filters for the charts counting requests/operations. Sorting and the
+  # duration selection, which becomes @start_duration, don't apply as conditions.
+  def record_chart_ransack_params(ransack_params)
+    ransack_params.except(:s, :avg_duration, :duration, :duration_gteq)
+  end
+
+  def comparison_enabled?
+    params[:compare] == "previous"
+  end
+
   def setup_table_data(ransack_params)
     table_ransack_params = build_table_ransack_params(ransack_params)
     @ransack_query = table_model.ransack(table_ransack_params)
@@ -62,11 +136,16 @@ module ChartTableConcern
   def setup_time_and_response_ranges
     @start_time, @end_time, @selected_time_range, @time_diff_hours = setup_time_range
     @start_duration, @selected_response_range = setup_duration_range
+    @selected_duration_min, @selected_duration_max = setup_duration_bucket
   end
 
   def setup_chart_formatters
     @xaxis_formatter = RailsPulse::ChartFormatters.period_as_time_or_date(@time_diff_hours)
     @tooltip_formatter = RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(@time_diff_hours)
+
+    if heatmap_chart_class
+      @heatmap_tooltip_formatter = RailsPulse::ChartFormatters.heatmap_tooltip_as_time_or_date(@time_diff_hours, units: heatmap_chart_class::UNITS)
+    end
   end
 
   def period_type
@@ -83,6 +162,18 @@ module ChartTableConcern
     has_chart_data || has_table_data
   end
 
+  # Narrows the table to the heatmap duration bucket. lower is compared against the
+  # bucket's minimum and upper against its maximum, e.g. duration/duration for requests
+  # or max_duration/min_duration to keep the summaries that overlap the bucket.
+  def apply_duration_bucket(table_ransack_params, lower:, upper:)
+    if @selected_duration_min
+      lower_key = :"#{lower}_gteq"
+      table_ransack_params[lower_key] = [ table_ransack_params[lower_key].to_f, @selected_duration_min ].max
+    end
+    table_ransack_params[:"#{upper}_lt"] = @selected_duration_max if @selected_duration_max
+    table_ransack_params
+  end
+
   def handle_pagination
     method = pagination_method
     send(method, params[:limit]) if params[:limit].present?
@@ -93,6 +184,8 @@ module ChartTableConcern
   def table_model; raise NotImplementedError; end
   def chart_class; raise NotImplementedError; end
   def chart_options; {}; end
+  def heatmap_chart_class; nil; end
+  def histogram_chart_class; nil; end
   def build_chart_ransack_params(ransack_params); raise NotImplementedError; end
   def build_table_ransack_params(ransack_params); raise NotImplementedError; end
   def default_table_sort; raise NotImplementedError; end
@@ -37,4 +37,13 @@ module ResponseRangeConcern
 
     [ start_duration, selected_range ]
   end
+
+  # Duration bucket selected by clicking a latency heatmap cell, in ms. The last
+  # bucket is open ended, so only the lower bound is given for it.
+  def setup_duration_bucket
+    min = params[:selected_duration_min].presence&.to_f
+    max = params[:selected_duration_max].presence&.to_f
+
+    [ min, min && max ]
+  end
 end
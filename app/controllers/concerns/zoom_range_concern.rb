@@ -5,6 +5,10 @@ module ZoomRangeConcern
     # Extract column selection parameter (but don't delete it yet - we need it for the view)
     selected_column_time = params[:selected_column_time]
 
+    # Extract brushed range selection parameters (also kept in params for the view)
+    selected_start_time = params[:selected_start_time]
+    selected_end_time = params[:selected_end_time]
+
     # Extract zoom parameters from params (this removes them from params)
     zoom_start = params.delete(:zoom_start_time)
     zoom_end = params.delete(:zoom_end_time)
@@ -18,6 +22,14 @@ module ZoomRangeConcern
       return [ zoom_start, zoom_end, table_start_time, table_end_time ]
     end
 
+    # Handle a brushed range of columns: the table covers the first column's
+    # period through the end of the last column's period
+    if selected_start_time && selected_end_time
+      table_start_time, _ = normalize_column_time(selected_start_time.to_i, main_start_time, main_end_time)
+      _, table_end_time = normalize_column_time(selected_end_time.to_i, main_start_time, main_end_time)
+      return [ zoom_start, zoom_end, table_start_time, table_end_time ]
+    end
+
     # Normalize zoom times to beginning/end of day or hour like we do for main time range
     if zoom_start && zoom_end
       zoom_start, zoom_end = normalize_zoom_times(zoom_start.to_i, zoom_end.to_i)
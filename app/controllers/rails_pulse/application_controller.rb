@@ -9,7 +9,7 @@ module RailsPulse
 
     before_action :authenticate_rails_pulse_user!
     before_action :set_show_non_tagged_default
-    helper_method :session_global_filters, :session_disabled_tags
+    helper_method :session_global_filters, :session_disabled_tags, :metric_cards_request?, :unsummarized_since
 
     def set_pagination_limit(limit = nil)
       limit = limit || params[:limit]
@@ -32,6 +32,10 @@ module RailsPulse
         if params[:start_time].present? && params[:end_time].present?
           filters["start_time"] = params[:start_time]
           filters["end_time"] = params[:end_time]
+        elsif params.key?(:date_range)
+          # The date range was emptied in the dialog (or by a preset without one)
+          filters.delete("start_time")
+          filters.delete("end_time")
         end
 
         # Update performance threshold if provided (or remove if empty)
@@ -132,6 +136,27 @@ module RailsPulse
       session_global_filters["disabled_tags"] || []
     end
 
+    # Metric cards are skipped for index_table frame requests, but rendered for full
+    # pages and for the metric_cards frame the stale data warning refreshes
+    def metric_cards_request?
+      !turbo_frame_request? || turbo_frame_request_id == "metric_cards"
+    end
+
+    # Start of the oldest hour with requests or job runs after the newest hourly
+    # summary, which metric cards are built from. Nil when everything is summarized,
+    # so an app without traffic doesn't look like its summary job stopped.
+    def unsummarized_since
+      return @unsummarized_since if defined?(@unsummarized_since)
+
+      summarized_until = RailsPulse::Summary.where(period_type: "hour").maximum(:period_end)
+      oldest = [ RailsPulse::Request, RailsPulse::JobRun ].filter_map do |model|
+        scope = summarized_until ? model.where(model.arel_table[:occurred_at].gt(summarized_until)) : model
+        scope.minimum(:occurred_at)
+      end.min
+
+      @unsummarized_since = oldest&.beginning_of_hour
+    end
+
     # Get the minimum duration based on global performance threshold
     # Returns nil if no threshold is set (show all)
     # context: :route, :request, or :query
@@ -69,7 +69,7 @@ module RailsPulse
     end
 
     def setup_metric_cards
-      return if turbo_frame_request?
+      return unless metric_cards_request?
 
       # Pass the job to scope the cards to the current job on the show page
       @total_runs_metric_card = RailsPulse::Jobs::Cards::TotalRuns.new(job: @job).to_metric_card
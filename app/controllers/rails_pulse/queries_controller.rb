@@ -67,6 +67,14 @@ module RailsPulse
       show_action? ? { query: @query } : {}
     end
 
+    def heatmap_chart_class
+      Queries::Charts::LatencyHeatmap if show_action?
+    end
+
+    def histogram_chart_class
+      Queries::Charts::DurationHistogram if show_action?
+    end
+
     def build_chart_ransack_params(ransack_params)
       base_params = ransack_params.except(:s).merge(
         period_start_gteq: Time.at(@start_time),
@@ -96,7 +104,8 @@ module RailsPulse
           summarizable_type_eq: "RailsPulse::Query"
         )
         params[:avg_duration_gteq] = @start_duration if @start_duration && @start_duration > 0
-        params
+        # The table lists summaries, so keep the periods with executions in the bucket
+        apply_duration_bucket(params, lower: :max_duration, upper: :min_duration)
       else
         # For Summary model on index page
         params = ransack_params.merge(
@@ -132,7 +141,7 @@ module RailsPulse
     private
 
     def setup_metric_cards
-      return if turbo_frame_request?
+      return unless metric_cards_request?
 
       # Get tag filter values from session
       disabled_tags = session_disabled_tags
@@ -174,6 +183,7 @@ module RailsPulse
     def setup_time_and_response_ranges
       @start_time, @end_time, @selected_time_range, @time_diff_hours = setup_time_range
       @start_duration, @selected_response_range = setup_duration_range(:query)
+      @selected_duration_min, @selected_duration_max = setup_duration_bucket
     end
 
     def set_query
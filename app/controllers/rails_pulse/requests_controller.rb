@@ -24,7 +24,7 @@ module RailsPulse
     private
 
     def setup_metric_cards
-      return if  turbo_frame_request?
+      return unless metric_cards_request?
 
       # Get tag filter values from session
       disabled_tags = session_disabled_tags
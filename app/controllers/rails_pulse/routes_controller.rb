@@ -18,7 +18,7 @@ module RailsPulse
     private
 
     def setup_metric_cards
-      return if turbo_frame_request?
+      return unless metric_cards_request?
 
       # Get tag filter values from session
       disabled_tags = session_disabled_tags
@@ -46,6 +46,14 @@ module RailsPulse
       show_action? ? { route: @route } : {}
     end
 
+    def heatmap_chart_class
+      Routes::Charts::LatencyHeatmap if show_action?
+    end
+
+    def histogram_chart_class
+      Routes::Charts::DurationHistogram if show_action?
+    end
+
     def build_chart_ransack_params(ransack_params)
       base_params = ransack_params.except(:s).merge(
         period_start_gteq: Time.at(@start_time),
@@ -71,7 +79,7 @@ module RailsPulse
           route_id_eq: @route.id
         )
         params[:duration_gteq] = @start_duration if @start_duration && @start_duration > 0
-        params
+        apply_duration_bucket(params, lower: :duration, upper: :duration)
       else
         # For Summary model on index page
         params = ransack_params.merge(
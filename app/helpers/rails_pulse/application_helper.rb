@@ -7,6 +7,7 @@ module RailsPulse
     include TableHelper
     include FormHelper
     include TagsHelper
+    include KioskHelper
 
     # Include Pagy frontend helpers for Pagy 8.x compatibility
     # Pagy 43+ doesn't need this, but it doesn't hurt to include it
@@ -1,43 +1,41 @@
 module RailsPulse
   module ChartFormatters
+    # Reference to a formatter registered in the JavaScript formatter registry
+    # (window.RailsPulse.formatters). chart_controller.js resolves it by name,
+    # passing params (e.g. units:, decimals:, locale:) to the formatter.
+    def self.reference(name, **params)
+      { name: name.to_s, params: params }
+    end
+
     def self.period_as_time_or_date(time_diff_hours)
       if time_diff_hours <= 25
-        <<~JS
-          function(value) {
-            const date = new Date(value * 1000);
-            return date.getHours().toString().padStart(2, '0') + ':00';
-          }
-        JS
+        reference(:unix_hour)
       else
-        <<~JS
-          function(value) {
-            const date = new Date(value * 1000);
-            return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-          }
-        JS
+        reference(:unix_short_date, timeZone: server_time_zone)
       end
     end
 
     def self.tooltip_as_time_or_date_with_marker(time_diff_hours)
+      reference(:axis_tooltip, **period_label(time_diff_hours), value: "integer", units: "ms")
+    end
+
+    def self.heatmap_tooltip_as_time_or_date(time_diff_hours, units:)
+      reference(:heatmap_tooltip, **period_label(time_diff_hours), units: units)
+    end
+
+    # Daily summaries start at midnight in the server's zone, so their dates are shown
+    # in that zone. In the display zone a day would read as the one before it west of
+    # the server. Hours are shown in the display zone.
+    def self.period_label(time_diff_hours)
       if time_diff_hours <= 25
-        <<~JS
-          function(params) {
-            const data = params[0];
-            const date = new Date(data.axisValue * 1000);
-            const dateString = date.getHours().toString().padStart(2, '0') + ':00';
-            return `${dateString} <br /> ${data.marker} ${parseInt(data.data)} ms`;
-          }
-        JS
+        { label: "unix_hour" }
       else
-        <<~JS
-          function(params) {
-            const data = params[0];
-            const date = new Date(data.axisValue * 1000);
-            const dateString = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-            return `${dateString} <br /> ${data.marker} ${parseInt(data.data)} ms`;
-          }
-        JS
+        { label: "unix_short_date", timeZone: server_time_zone }
       end
     end
+
+    def self.server_time_zone
+      Time.zone.tzinfo.name
+    end
   end
 end
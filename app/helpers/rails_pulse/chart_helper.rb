@@ -1,5 +1,12 @@
 module RailsPulse
   module ChartHelper
+    # Label and color per configured threshold, matching the status indicators
+    THRESHOLD_STYLES = {
+      slow: [ "Warning", "#ca8a04" ],
+      very_slow: [ "Slow", "#ea580c" ],
+      critical: [ "Critical", "#dc2626" ]
+    }.freeze
+
     # Main chart rendering method - unified API for all chart types
     # Uses Stimulus controller to handle chart initialization
     def render_stimulus_chart(data, type:, **options)
@@ -15,16 +22,86 @@ module RailsPulse
         rails_pulse__chart_type_value: type,
         rails_pulse__chart_data_value: data.to_json,
         rails_pulse__chart_options_value: chart_options.to_json,
-        rails_pulse__chart_theme_value: theme
+        rails_pulse__chart_theme_value: theme,
+        action: "keydown->rails-pulse--chart#navigate update->rails-pulse--chart#update"
       }
 
-      content_tag(:div, "",
+      # Previous-period data drawn as a ghost series, e.g. { data: @comparison_chart_data, units: "ms" }
+      if options.dig(:comparison, :data).present?
+        stimulus_data[:rails_pulse__chart_comparison_value] = options[:comparison].to_json
+      end
+
+      # Sparklines and other tiny charts opt out of the export menu with export: false
+      stimulus_data[:rails_pulse__chart_exportable_value] = false if options[:export] == false
+
+      # Deploy/incident markers, e.g. [{ time: deployed_at.to_i, label: "Deploy v1.2", type: "deploy" }]
+      if options[:annotations].present?
+        stimulus_data[:rails_pulse__chart_annotations_value] = options[:annotations].to_json
+      end
+
+      # Threshold lines with bars colored by the highest threshold they reach, e.g.
+      # thresholds: chart_thresholds(:route), threshold_bands: true to shade the ranges instead
+      if options[:thresholds].present?
+        stimulus_data[:rails_pulse__chart_thresholds_value] = options[:thresholds].to_json
+        stimulus_data[:rails_pulse__chart_threshold_bands_value] = true if options[:threshold_bands]
+      end
+
+      # Charts on the same page with the same group share their crosshair and zoom
+      stimulus_data[:rails_pulse__chart_group_value] = options[:group] if options[:group].present?
+
+      # Sample large datasets client side, e.g. downsample: true or downsample: { threshold: 5000, method: "minmax" }
+      if options[:downsample]
+        downsample = options[:downsample] == true ? {} : options[:downsample]
+        stimulus_data[:rails_pulse__chart_downsample_value] = downsample.to_json
+      end
+
+      # Charts render lazily near the viewport by default; charts other controllers
+      # depend on (index charts) opt out with lazy: false
+      stimulus_data[:rails_pulse__chart_lazy_value] = false if options[:lazy] == false
+
+      # The skeleton is shown until the chart is rendered. Charts with the data table
+      # are focusable so the data points can be stepped through with the arrow keys;
+      # keyshortcuts: announces keys handled further up, e.g. "+ - 0" for the index zoom.
+      content_tag(:div, render("rails_pulse/skeletons/chart"),
         id: chart_id,
+        tabindex: (0 unless options[:export] == false),
         style: "height: #{height}; width: #{width};",
-        data: stimulus_data
+        data: stimulus_data,
+        aria: { keyshortcuts: options[:keyshortcuts] }
       )
     end
 
+    # References a formatter from the JavaScript formatter registry by name, e.g.
+    #   chart_formatter(:duration_ms, decimals: 1)
+    #   chart_formatter(:req_per_min) # registered by the host app
+    def chart_formatter(name, **params)
+      RailsPulse::ChartFormatters.reference(name, **params)
+    end
+
+    # The slow/very_slow/critical thresholds configured for :route, :request, :query
+    # or :job as chart thresholds
+    def chart_thresholds(type)
+      thresholds = RailsPulse.configuration.public_send("#{type}_thresholds")
+
+      THRESHOLD_STYLES.filter_map do |key, (label, color)|
+        next unless thresholds[key]
+
+        { value: thresholds[key], label: "#{label} #{thresholds[key]} ms", color: color }
+      end
+    end
+
+    # Zoom presets as [label, duration] pairs in whole chart buckets: hours on hourly
+    # charts (ranges up to 25 hours) and days on daily ones. Presets spanning the
+    # whole range are left out, as they would zoom to everything.
+    def chart_zoom_presets(time_diff_hours)
+      presets = time_diff_hours <= 25 ? [ 3.hours, 6.hours, 12.hours ] : [ 2.days, 7.days, 14.days ]
+
+      presets.select { |duration| duration < time_diff_hours.hours }.map do |duration|
+        label = time_diff_hours <= 25 ? "#{duration.in_hours.to_i}h" : "#{duration.in_days.to_i}d"
+        [ label, duration ]
+      end
+    end
+
     # Base chart options shared across all chart types
     def base_chart_options(units: nil, zoom: false)
       {
@@ -87,6 +164,49 @@ module RailsPulse
       options
     end
 
+    # Time on the x-axis, duration buckets on the y-axis and counts as color
+    # intensity. The chart controller sets the visualMap range from the data.
+    def heatmap_chart_options(zoom: false, xaxis_formatter: nil, tooltip_formatter: nil, zoom_start: nil, zoom_end: nil, chart_data: nil)
+      options = base_chart_options(zoom: zoom).deep_merge({
+        tooltip: { trigger: "item", axisPointer: { type: "none" } },
+        xAxis: { splitArea: { show: false } },
+        yAxis: { splitArea: { show: false }, axisLabel: { formatter: "{value}" } },
+        grid: { top: "5%", right: "12%" },
+        visualMap: {
+          orient: "vertical",
+          right: 0,
+          top: "middle",
+          calculable: true,
+          inRange: { color: [ "#fff4cc", "#ffc91f", "#d97706" ] }
+        },
+        series: {
+          selectedMode: "single",
+          select: { itemStyle: { borderColor: "#1f1f1f", borderWidth: 2 } },
+          emphasis: { itemStyle: { borderColor: "#ffffff", borderWidth: 1 } }
+        }
+      })
+
+      apply_tooltip_formatter(options, tooltip_formatter)
+      apply_xaxis_formatter(options, xaxis_formatter)
+      # Zoom indexes are looked up by timestamp, which are the heatmap labels
+      apply_zoom_configuration(options, zoom, zoom_start, zoom_end, chart_data && chart_data[:labels].index_with(nil))
+
+      options
+    end
+
+    # Count per duration bin with the cumulative share on a secondary axis. The
+    # chart controller adds the percent axis, the CDF line and the percentile marks.
+    def histogram_chart_options
+      base_chart_options.deep_merge({
+        yAxis: { axisLabel: { formatter: "{value}" } },
+        grid: { top: "15%" },
+        series: {
+          barCategoryGap: "10%",
+          itemStyle: { borderRadius: [ 2, 2, 0, 0 ] }
+        }
+      })
+    end
+
     def sparkline_chart_options
       # Compact sparkline columns that fill the canvas with no axes/labels/gaps
       base_chart_options.deep_merge({
@@ -122,21 +242,22 @@ module RailsPulse
 
     private
 
-    # Wraps JavaScript function strings for later processing
-    def js_function(func_string)
-      "__FUNCTION_START__#{func_string}__FUNCTION_END__"
+    # Formatters are given as a registry name ("duration_ms") or a reference
+    # built with chart_formatter(name, **params)
+    def formatter_reference(formatter)
+      formatter.is_a?(Hash) ? formatter : RailsPulse::ChartFormatters.reference(formatter)
     end
 
     def apply_tooltip_formatter(options, tooltip_formatter)
       return unless tooltip_formatter.present?
 
-      options[:tooltip][:formatter] = js_function(tooltip_formatter)
+      options[:tooltip][:formatter] = formatter_reference(tooltip_formatter)
     end
 
     def apply_xaxis_formatter(options, xaxis_formatter)
       return unless xaxis_formatter.present?
 
-      options[:xAxis][:axisLabel] ||= { formatter: js_function(xaxis_formatter) }
+      options[:xAxis][:axisLabel] ||= { formatter: formatter_reference(xaxis_formatter) }
     end
 
     def apply_zoom_configuration(options, zoom, zoom_start, zoom_end, chart_data)
@@ -39,26 +39,49 @@ module RailsPulse
 
     def time_range_picker_wrapper(form, custom_date_value)
       content_tag(:div,
-        data: { rails_pulse__custom_range_target: "pickerWrapper" },
+        data: {
+          controller: "rails-pulse--time-expression",
+          rails_pulse__custom_range_target: "pickerWrapper"
+        },
         style: "display: none; position: relative; min-width: 360px;"
       ) do
         concat time_range_picker_input(form, custom_date_value)
         concat time_range_close_button
+        concat time_range_picker_feedback
       end
     end
 
+    # Takes typed expressions like "last 3h" or a range picked from the calendar,
+    # resolved into the hidden custom_date_range field (see time_expression_controller.js)
     def time_range_picker_input(form, custom_date_value)
-      form.text_field :custom_date_range,
-        value: custom_date_value,
-        placeholder: "Pick date range",
-        class: "input",
-        style: "padding-inline-end: 2.5rem;",
-        data: {
-          controller: "rails-pulse--datepicker",
-          rails_pulse__datepicker_mode_value: "range",
-          rails_pulse__datepicker_show_months_value: 2,
-          rails_pulse__datepicker_type_value: "datetime"
-        }
+      safe_join([
+        tag.input(
+          type: "text",
+          value: custom_date_value,
+          placeholder: "Pick date range or type \"last 3h\"",
+          autocomplete: "off",
+          class: "input",
+          style: "padding-inline-end: 2.5rem;",
+          aria: { label: "Custom range" },
+          data: {
+            rails_pulse__time_expression_target: "input",
+            action: "input->rails-pulse--time-expression#change click->rails-pulse--time-expression#open"
+          }
+        ),
+        form.hidden_field(:custom_date_range,
+          value: custom_date_value,
+          data: { rails_pulse__time_expression_target: "value" }
+        )
+      ])
+    end
+
+    def time_range_picker_feedback
+      content_tag(:p, "",
+        class: "input-feedback text-xs text-subtle",
+        style: "position: absolute; inset-block-start: 100%; inset-inline-start: 0; white-space: nowrap;",
+        aria: { live: "polite" },
+        data: { rails_pulse__time_expression_target: "feedback" }
+      )
     end
 
     def time_range_close_button
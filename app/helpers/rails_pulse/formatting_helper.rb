@@ -7,6 +7,20 @@ module RailsPulse
       time.getlocal.strftime("%b %d, %Y %l:%M %p")
     end
 
+    # A <time> tag for occurred_at that the timestamp controller re-renders in the
+    # display timezone picked in the header, with the server's local time as fallback
+    def timestamp_tag(occurred_at, format = "%b %d, %Y %l:%M %p")
+      return "" unless occurred_at.present?
+      time = occurred_at.is_a?(String) ? Time.parse(occurred_at) : occurred_at
+
+      content_tag(:time, time.getlocal.strftime(format),
+        datetime: time.getutc.iso8601(3),
+        data: {
+          controller: "rails-pulse--timestamp",
+          rails_pulse__timestamp_format_value: format
+        })
+    end
+
     def time_ago_in_words(time)
       return "Unknown" if time.blank?
 
@@ -29,6 +43,17 @@ module RailsPulse
       end
     end
 
+    # A <time> tag reading time_ago_in_words(time), which the relative time controller
+    # keeps current in the browser
+    def relative_time_tag(time)
+      return "Unknown" if time.blank?
+      time = Time.parse(time.to_s) if time.is_a?(String)
+
+      content_tag(:time, time_ago_in_words(time),
+        datetime: time.getutc.iso8601,
+        data: { controller: "rails-pulse--relative-time" })
+    end
+
     def human_readable_summary_period(summary)
       return "" unless summary&.period_start&.present? && summary&.period_end&.present?
 
@@ -0,0 +1,49 @@
+module RailsPulse
+  module KioskHelper
+    KIOSK_PAGE_TITLES = {
+      dashboard: "Dashboard",
+      slowest_routes: "Slowest Routes",
+      slowest_queries: "Slowest Queries",
+      failing_jobs: "Failing Jobs"
+    }.freeze
+
+    # Kiosk mode is turned on per visit with ?kiosk=1 and kept by the kiosk page links
+    def kiosk_mode?
+      params[:kiosk] == "1"
+    end
+
+    # The configured kiosk pages in rotation order as { title:, path: }. Failing jobs
+    # are skipped when job tracking (and with it the jobs pages) is off.
+    def kiosk_pages
+      RailsPulse.configuration.kiosk_pages.filter_map do |page|
+        path = kiosk_page_path(page)
+        { title: KIOSK_PAGE_TITLES[page], path: path } if path
+      end
+    end
+
+    def current_kiosk_page
+      kiosk_pages.find { |page| URI(page[:path]).path == request.path }
+    end
+
+    # The current page with the same params, without kiosk mode
+    def kiosk_exit_path
+      query = request.query_parameters.except("kiosk")
+      query.any? ? "#{request.path}?#{query.to_query}" : request.path
+    end
+
+    private
+
+    def kiosk_page_path(page)
+      case page
+      when :dashboard
+        rails_pulse.root_path(kiosk: 1)
+      when :slowest_routes
+        rails_pulse.routes_path(kiosk: 1, q: { s: "avg_duration_sort desc" })
+      when :slowest_queries
+        rails_pulse.queries_path(kiosk: 1, q: { s: "avg_duration_sort desc" })
+      when :failing_jobs
+        rails_pulse.jobs_path(kiosk: 1, q: { failures_count_gt: 0, s: "failures_count desc" }) if RailsPulse.configuration.track_jobs
+      end
+    end
+  end
+end
@@ -17,6 +17,8 @@ module RailsPulse
         else
           value
         end
+      elsif column[:format] == :relative_time
+        relative_time_tag(value)
       elsif column[:format] == :percentage && value.is_a?(Numeric)
         "#{value > 0 ? '+' : ''}#{value}%"
       elsif value.is_a?(Numeric) && column[:field].to_s.include?("time")
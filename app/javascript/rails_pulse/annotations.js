@@ -0,0 +1,45 @@
+// Registry of annotations (deploys, incidents, config changes) drawn on every
+// Rails Pulse chart. Exposed as window.RailsPulse.annotations so host apps can
+// add them at runtime; charts redraw on rails-pulse:annotations-changed.
+//
+// Annotation shape:
+//   { time: 1700000000, endTime: 1700003600, label: "Deploy v1.2", description: "...", type: "deploy" }
+//
+// time/endTime accept unix seconds or anything Date.parse understands. Without
+// endTime the annotation is drawn as a vertical line, otherwise as a band.
+
+const annotations = []
+let nextId = 1
+
+function notify() {
+  document.dispatchEvent(new CustomEvent('rails-pulse:annotations-changed', {
+    detail: { annotations: all() }
+  }))
+}
+
+export function add(annotation) {
+  const id = annotation.id || `annotation-${nextId++}`
+  annotations.push({ ...annotation, id })
+  notify()
+  return id
+}
+
+export function remove(id) {
+  const index = annotations.findIndex(annotation => annotation.id === id)
+  if (index === -1) return false
+
+  annotations.splice(index, 1)
+  notify()
+  return true
+}
+
+export function clear() {
+  annotations.length = 0
+  notify()
+}
+
+export function all() {
+  return annotations.slice()
+}
+
+export default { add, remove, clear, all }
@@ -1,5 +1,9 @@
 import * as echarts from "echarts";
 import "./theme";
+import annotations from "./annotations";
+import formatters from "./formatters";
+import timeExpressions from "./time_expressions";
+import timeZone from "./time_zone";
 import * as Turbo from "@hotwired/turbo";
 import { Application } from "@hotwired/stimulus";
 
@@ -23,6 +27,14 @@ import CollapsibleController from "./controllers/collapsible_controller";
 import TableSortController from "./controllers/table_sort_controller";
 import GlobalFiltersController from "./controllers/global_filters_controller";
 import CustomRangeController from "./controllers/custom_range_controller";
+import AutoRefreshController from "./controllers/auto_refresh_controller";
+import KioskController from "./controllers/kiosk_controller";
+import TimeExpressionController from "./controllers/time_expression_controller";
+import TimestampController from "./controllers/timestamp_controller";
+import TimeZonePickerController from "./controllers/time_zone_picker_controller";
+import RelativeTimeController from "./controllers/relative_time_controller";
+import StalenessController from "./controllers/staleness_controller";
+import InfiniteScrollController from "./controllers/infinite_scroll_controller";
 
 const application = Application.start();
 
@@ -54,6 +66,14 @@ application.register("rails-pulse--collapsible", CollapsibleController);
 application.register("rails-pulse--table-sort", TableSortController);
 application.register("rails-pulse--global-filters", GlobalFiltersController);
 application.register("rails-pulse--custom-range", CustomRangeController);
+application.register("rails-pulse--auto-refresh", AutoRefreshController);
+application.register("rails-pulse--kiosk", KioskController);
+application.register("rails-pulse--time-expression", TimeExpressionController);
+application.register("rails-pulse--timestamp", TimestampController);
+application.register("rails-pulse--time-zone-picker", TimeZonePickerController);
+application.register("rails-pulse--relative-time", RelativeTimeController);
+application.register("rails-pulse--staleness", StalenessController);
+application.register("rails-pulse--infinite-scroll", InfiniteScrollController);
 
 // Ensure Turbo Frames are loaded after page load
 document.addEventListener('DOMContentLoaded', () => {
@@ -101,5 +121,9 @@ echarts.registerTheme('railspulse', {
 // Export for global access
 window.RailsPulse = {
   application,
+  annotations,
+  formatters,
+  timeExpressions,
+  timeZone,
   version: "1.0.0"
 };
@@ -0,0 +1,222 @@
+import { Controller } from "@hotwired/stimulus"
+import { current as currentZone } from "../time_zone"
+
+// Refresh intervals offered by the toggle in seconds, 0 turns auto-refresh off
+const INTERVALS = [0, 15, 30, 60]
+
+// Refreshes wait this long after the last interaction with a chart or its zoom controls
+const INTERACTION_PAUSE = 5000
+
+// Charts, and the index page container, which handles the zoom keyboard shortcuts
+const ZOOMABLE = '[data-controller~="rails-pulse--chart"], [data-controller~="rails-pulse--index"]'
+
+const CHART_VALUES = ['data', 'options', 'comparison']
+
+// Frames whose content is replaced with the refreshed page's: the metric cards, the
+// index tables and the dashboard's slow routes and queries
+const FRAMES = ['metric_cards', 'index_table', 'slow_routes', 'slow_queries']
+
+// Refetches the current page on an interval and applies it in place: charts get their
+// new data through the chart controller's update action, so they keep their instance,
+// zoom and listeners, and the frames above get the new cards and rows. Refreshes are
+// skipped while the tab is hidden, while the user zooms a chart and while a table
+// request the user started is loading.
+export default class extends Controller {
+  static targets = ["interval", "status"]
+
+  static values = {
+    seconds: Number // Fixed interval used instead of the stored setting (kiosk mode)
+  }
+
+  connect() {
+    this.storageKey = "auto-refresh-interval"
+    this.lastInteractionAt = 0
+    this.pointerDown = false
+
+    this.handleVisibilityChange = this.onVisibilityChange.bind(this)
+    this.handlePointerDown = this.onPointerDown.bind(this)
+    this.handlePointerUp = () => { this.pointerDown = false }
+    this.handleInteraction = this.onInteraction.bind(this)
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+    document.addEventListener('pointerdown', this.handlePointerDown)
+    document.addEventListener('pointerup', this.handlePointerUp)
+    document.addEventListener('pointercancel', this.handlePointerUp)
+    document.addEventListener('wheel', this.handleInteraction, { passive: true })
+    document.addEventListener('keydown', this.handleInteraction)
+
+    if (this.hasIntervalTarget) {
+      this.intervalTarget.value = String(this.interval)
+    }
+    this.start()
+  }
+
+  disconnect() {
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    document.removeEventListener('pointerdown', this.handlePointerDown)
+    document.removeEventListener('pointerup', this.handlePointerUp)
+    document.removeEventListener('pointercancel', this.handlePointerUp)
+    document.removeEventListener('wheel', this.handleInteraction)
+    document.removeEventListener('keydown', this.handleInteraction)
+
+    this.stop()
+  }
+
+  get interval() {
+    if (this.hasSecondsValue) return this.secondsValue
+
+    const saved = Number(localStorage.getItem(this.storageKey))
+    return INTERVALS.includes(saved) ? saved : 0
+  }
+
+  change() {
+    localStorage.setItem(this.storageKey, this.intervalTarget.value)
+    this.start()
+  }
+
+  start() {
+    this.stop()
+    this.updateStatus('')
+
+    const seconds = this.interval
+    if (seconds === 0) return
+
+    this.lastRefreshAt = Date.now()
+    this.timer = setInterval(() => this.refresh(), seconds * 1000)
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    if (this.requestController) {
+      this.requestController.abort()
+      this.requestController = null
+    }
+  }
+
+  // Catch up right away when the tab becomes visible after missing a refresh
+  onVisibilityChange() {
+    if (document.hidden || !this.timer) return
+
+    if (Date.now() - this.lastRefreshAt >= this.interval * 1000) {
+      this.refresh()
+    }
+  }
+
+  onPointerDown(event) {
+    if (event.target.closest?.(ZOOMABLE)) {
+      this.pointerDown = true
+      this.lastInteractionAt = Date.now()
+    }
+  }
+
+  onInteraction(event) {
+    if (event.target.closest?.(ZOOMABLE)) {
+      this.lastInteractionAt = Date.now()
+    }
+  }
+
+  // Dragging the zoom slider or a brush holds the pointer down on the chart
+  get interacting() {
+    return this.pointerDown || Date.now() - this.lastInteractionAt < INTERACTION_PAUSE
+  }
+
+  refresh() {
+    if (document.hidden) return
+
+    if (this.interacting) {
+      this.updateStatus('Paused while zooming')
+      return
+    }
+
+    if (this.requestController) {
+      this.requestController.abort()
+    }
+
+    const requestController = new AbortController()
+    this.requestController = requestController
+    this.lastRefreshAt = Date.now()
+
+    // Zoom, selection and sort live in the URL, so the page at the current URL
+    // has the charts and table as the user sees them
+    const url = window.location.href
+
+    fetch(url, {
+      method: 'GET',
+      signal: requestController.signal,
+      headers: { 'Accept': 'text/html' }
+    })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`)
+      }
+      return response.text()
+    })
+    .then(html => {
+      // The user zoomed or selected something while the request was in flight
+      if (window.location.href !== url || this.interacting) return
+
+      const doc = new DOMParser().parseFromString(html, 'text/html')
+      this.updateCharts(doc)
+      this.updateFrames(doc)
+      this.updateStatus(`Updated ${new Date().toLocaleTimeString(undefined, { timeZone: currentZone() })}`)
+    })
+    .catch(error => {
+      if (error.name === 'AbortError') return
+
+      console.error('[RailsPulse] Auto-refresh failed:', error)
+      this.updateStatus('Refresh failed')
+    })
+    .finally(() => {
+      if (this.requestController === requestController) {
+        this.requestController = null
+      }
+    })
+  }
+
+  // Charts are matched by id, so charts meant to refresh need a stable one (the helper
+  // makes up a random id otherwise); only charts whose values changed are updated
+  updateCharts(doc) {
+    document.querySelectorAll('[data-controller~="rails-pulse--chart"][id]').forEach(element => {
+      const refreshed = doc.getElementById(element.id)
+      if (!refreshed) return
+
+      const detail = {}
+      CHART_VALUES.forEach(name => {
+        const attribute = `data-rails-pulse--chart-${name}-value`
+        const value = refreshed.getAttribute(attribute)
+
+        if (value !== null && value !== element.getAttribute(attribute)) {
+          detail[name] = JSON.parse(value)
+        }
+      })
+
+      if (Object.keys(detail).length > 0) {
+        element.dispatchEvent(new CustomEvent('update', { detail }))
+      }
+    })
+  }
+
+  // A busy frame is loading a zoom, selection or refresh the user asked for, which wins.
+  // A table with pages appended by infinite scroll is kept too, or the user would lose
+  // the rows they scrolled to.
+  updateFrames(doc) {
+    FRAMES.forEach(id => {
+      const frame = document.querySelector(`turbo-frame#${id}`)
+      const refreshed = doc.querySelector(`turbo-frame#${id}`)
+      if (!frame || !refreshed || frame.hasAttribute('busy')) return
+      if (frame.querySelector('table[data-appended-pages]')) return
+
+      frame.replaceChildren(...Array.from(refreshed.childNodes, node => document.importNode(node, true)))
+    })
+  }
+
+  updateStatus(text) {
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = text
+    }
+  }
+}
@@ -1,24 +1,111 @@
 import { Controller } from "@hotwired/stimulus"
+import { all as globalAnnotations } from "../annotations"
+import formatters from "../formatters"
+import { format as formatInTimeZone } from "../time_zone"
+
+const ANNOTATION_COLORS = {
+  deploy: '#3b82f6',
+  incident: '#ef4444',
+  config: '#a855f7'
+}
+
+// Themes with a companion theme (registered in theme.js) used in the dark color scheme
+const DARK_THEMES = {
+  railspulse: 'railspulse-dark'
+}
+
+// Lazy charts render once they come within RENDER_MARGIN of the viewport and are
+// disposed again when they are further than DISPOSE_MARGIN away from it
+const RENDER_MARGIN = '200px 0px'
+const DISPOSE_MARGIN = '300% 0px'
+
+// Point count above which a chart with the downsample value gets sampled
+const DOWNSAMPLE_THRESHOLD = 2000
+
+// Charts sharing a group value, keyed by group name
+const chartGroups = new Map()
+let syncingGroup = false
 
 export default class extends Controller {
   static values = {
-    type: String,        // "bar", "line", "area", "sparkline"
-    data: Object,        // Chart data
+    type: String,        // "bar", "line", "area", "sparkline", "heatmap", "histogram"
+    data: Object,        // Chart data (flat label => value hash, { series: { name => { data:, type:, yAxisIndex: } } },
+                         // { labels:, buckets:, counts: } for heatmaps or { bins:, percentiles:, total: } for histograms)
     options: Object,     // ECharts configuration
-    theme: String        // ECharts theme
+    theme: String,       // ECharts theme
+    comparison: Object,  // Previous-period overlay: { data: { label => value }, units: "ms", name: "Previous period" }
+    annotations: Array,  // Deploy/incident markers: [{ time:, endTime:, label:, description:, type: }]
+    thresholds: Array,   // Reference lines with bars colored by the highest one reached: [{ value:, label:, color: }]
+    thresholdBands: Boolean, // Draw thresholds as bands up to the next threshold instead of lines
+    exportable: { type: Boolean, default: true }, // Show the PNG/SVG/CSV/JSON export menu
+    group: String,       // Charts with the same group share their crosshair and zoom
+    downsample: Object,  // Opt-in downsampling of large datasets: { threshold: 2000, method: "lttb" | "minmax" }
+    lazy: { type: Boolean, default: true } // Render only near the viewport
   }
 
   connect() {
-    this.initializeChart()
+    // The skeleton rendered by the helper is replaced by ECharts, keep a copy to show
+    // again whenever the chart is disposed
+    this.skeleton = this.element.querySelector('.skeleton-container')?.cloneNode(true)
+
+    // The data table doesn't need ECharts, so lazy charts that can show it (from the
+    // export menu) get it right away. Invalid options show the error state here too.
+    if (this.exportableValue) {
+      try {
+        this.updateDataTable(this.buildChartConfig())
+      } catch (error) {
+        console.error('[RailsPulse] Error initializing chart:', error)
+        this.showError()
+        return
+      }
+    }
+
+    if (this.lazyValue && 'IntersectionObserver' in window) {
+      this.observeVisibility()
+    } else {
+      this.initializeChart()
+    }
+
     this.handleColorSchemeChange = this.onColorSchemeChange.bind(this)
     document.addEventListener('rails-pulse:color-scheme-changed', this.handleColorSchemeChange)
+    this.handleAnnotationsChange = this.refreshAnnotations.bind(this)
+    document.addEventListener('rails-pulse:annotations-changed', this.handleAnnotationsChange)
+    this.handleTimeZoneChange = this.onTimeZoneChange.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
   }
 
   disconnect() {
     document.removeEventListener('rails-pulse:color-scheme-changed', this.handleColorSchemeChange)
+    document.removeEventListener('rails-pulse:annotations-changed', this.handleAnnotationsChange)
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+
+    if (this.renderObserver) {
+      this.renderObserver.disconnect()
+      this.disposeObserver.disconnect()
+    }
+
     this.disposeChart()
   }
 
+  // Render when the chart scrolls near the viewport and dispose it once it is far
+  // away, so pages with dozens of sparklines only pay for the charts being looked at
+  observeVisibility() {
+    this.renderObserver = new IntersectionObserver((entries) => {
+      if (entries[entries.length - 1].isIntersecting && !this.chart) {
+        this.initializeChart()
+      }
+    }, { rootMargin: RENDER_MARGIN })
+
+    this.disposeObserver = new IntersectionObserver((entries) => {
+      if (!entries[entries.length - 1].isIntersecting && this.chart) {
+        this.disposeChart()
+      }
+    }, { rootMargin: DISPOSE_MARGIN })
+
+    this.renderObserver.observe(this.element)
+    this.disposeObserver.observe(this.element)
+  }
+
   // Main initialization with retry logic
   initializeChart() {
     this.retryCount = 0
@@ -41,18 +128,43 @@ export default class extends Controller {
     this.renderChart()
   }
 
-  renderChart() {
+  // zoom restores a { start, end } index window, e.g. when re-rendering for a new theme
+  renderChart(zoom = null) {
     try {
       // Initialize chart
-      this.chart = echarts.init(this.element, this.themeValue || 'railspulse')
+      this.chartTheme = this.currentTheme()
+      this.chart = echarts.init(this.element, this.chartTheme)
 
       // Build and set options
       const config = this.buildChartConfig()
       this.chart.setOption(config)
+      this.labels = config.xAxis?.data
+
+      if (zoom) {
+        this.chart.dispatchAction({ type: 'dataZoom', startValue: zoom.start, endValue: zoom.end })
+      }
+
+      // ECharts empties the element on init, so add the data table back
+      this.updateDataTable(config)
 
       // Apply current color scheme
       this.applyColorScheme()
 
+      // Export menu (PNG, SVG, CSV, JSON)
+      if (this.exportableValue) {
+        this.buildExportMenu()
+      }
+
+      // Show annotation details when a marker is clicked
+      this.chart.on('click', (params) => {
+        if (params.componentType === 'markLine' || params.componentType === 'markArea') {
+          this.showAnnotation(params)
+        }
+      })
+
+      // Synchronize crosshair and zoom with the other charts in the group
+      this.joinGroup()
+
       // Dispatch event for other controllers (event-based communication)
       document.dispatchEvent(new CustomEvent('stimulus:echarts:rendered', {
         detail: {
@@ -83,30 +195,51 @@ export default class extends Controller {
     // Start with provided options
     const config = { ...this.optionsValue }
 
-    // Process formatters (convert function strings to actual functions)
+    // Process formatters (resolve named formatter references to functions)
     this.processFormatters(config)
 
     // Set data (xAxis and series)
     this.setChartData(config)
 
+    // Overlay previous-period data as a ghost series
+    this.applyComparison(config)
+
+    // Sample large datasets down to the available width
+    this.applyDownsampling(config)
+
+    // Color bars reaching a threshold
+    this.applyThresholds(config)
+
+    // Fit the y-axis to the thresholds drawn as lines or bands
+    this.applyThresholdAxis(config)
+
+    // Draw deploy/incident annotations and threshold lines on the first series
+    Object.assign(config.series[0], this.buildMarks(config.xAxis.data))
+
     return config
   }
 
   setChartData(config) {
+    if (this.typeValue === 'heatmap') {
+      this.setHeatmapChartData(config)
+      return
+    }
+
+    if (this.typeValue === 'histogram') {
+      this.setHistogramChartData(config)
+      return
+    }
+
+    if (this.isMultiSeries(this.dataValue)) {
+      this.setMultiSeriesChartData(config)
+      return
+    }
+
     const data = this.dataValue
 
     // Extract labels and values
-    const labels = Object.keys(data).map(k => {
-      const num = Number(k)
-      return isNaN(num) ? k : num
-    })
-
-    const values = Object.values(data).map(v => {
-      if (typeof v === 'object' && v !== null) {
-        return v.value !== undefined ? v.value : v
-      }
-      return v
-    })
+    const labels = Object.keys(data).map(k => this.parseLabel(k))
+    const values = Object.values(data).map(v => this.extractValue(v))
 
     // Set xAxis data
     config.xAxis = config.xAxis || {}
@@ -140,188 +273,1177 @@ export default class extends Controller {
     }
   }
 
-  processFormatters(config) {
-    // Process tooltip formatter
-    if (config.tooltip?.formatter && typeof config.tooltip.formatter === 'string') {
-      config.tooltip.formatter = this.parseFormatter(config.tooltip.formatter)
+  // Multi-series data is a hash with a `series` key mapping series names to
+  // { data: { label => value }, type:, yAxisIndex: } while flat data maps
+  // labels straight to values.
+  isMultiSeries(data) {
+    if (!data || typeof data.series !== 'object' || data.series === null || Array.isArray(data.series)) {
+      return false
     }
 
-    // Process xAxis formatter
-    if (config.xAxis?.axisLabel?.formatter && typeof config.xAxis.axisLabel.formatter === 'string') {
-      config.xAxis.axisLabel.formatter = this.parseFormatter(config.xAxis.axisLabel.formatter)
+    const entries = Object.values(data.series)
+    return entries.length > 0 && entries.every(entry => entry && typeof entry.data === 'object')
+  }
+
+  /**
+   * Builds xAxis, yAxis and series for keyed multi-series data:
+   *
+   *   { series: {
+   *       p50: { data: { 1700000000: 120 }, type: "line" },
+   *       errors: { data: { 1700000000: 3 }, type: "bar", yAxisIndex: 1 }
+   *   } }
+   *
+   * All series share one category axis built from the union of their labels;
+   * missing points become null so ECharts renders a gap.
+   */
+  setMultiSeriesChartData(config) {
+    const seriesEntries = Object.entries(this.dataValue.series)
+
+    // Union of labels in first-seen order, sorted numerically when all labels are timestamps
+    const keys = []
+    const seen = new Set()
+    seriesEntries.forEach(([, entry]) => {
+      Object.keys(entry.data).forEach(key => {
+        if (!seen.has(key)) {
+          seen.add(key)
+          keys.push(key)
+        }
+      })
+    })
+    if (keys.every(key => !isNaN(Number(key)))) {
+      keys.sort((a, b) => Number(a) - Number(b))
     }
 
-    // Process yAxis formatter
-    if (config.yAxis?.axisLabel?.formatter && typeof config.yAxis.axisLabel.formatter === 'string') {
-      config.yAxis.axisLabel.formatter = this.parseFormatter(config.yAxis.axisLabel.formatter)
+    // Set xAxis data
+    config.xAxis = config.xAxis || {}
+    config.xAxis.type = 'category'
+    config.xAxis.data = keys.map(k => this.parseLabel(k))
+
+    // Set yAxis, adding value axes for any series plotted against a secondary index
+    const axisCount = Math.max(1, ...seriesEntries.map(([, entry]) => (entry.yAxisIndex || 0) + 1))
+    const yAxes = Array.isArray(config.yAxis) ? config.yAxis : [config.yAxis || {}]
+    for (let i = 0; i < axisCount; i++) {
+      yAxes[i] = { ...(yAxes[i] || {}), type: 'value' }
     }
-  }
+    config.yAxis = yAxes.length === 1 ? yAxes[0] : yAxes
+
+    // Series options from the helper apply to every series as defaults
+    const baseSeries = Array.isArray(config.series) ? (config.series[0] || {}) : (config.series || {})
 
-  parseFormatter(formatterString) {
-    // Remove function markers if present
-    const cleanString = formatterString.replace(/__FUNCTION_START__|__FUNCTION_END__/g, '')
+    config.series = seriesEntries.map(([name, entry]) => {
+      const { data, name: displayName, ...seriesOptions } = entry
 
-    // If it's a function string, use safe formatter registry instead of eval()
-    if (cleanString.trim().startsWith('function')) {
-      // Extract formatter logic using safe parsing
-      // Rather than eval(), we match against known safe patterns
-      return this.getSafeFormatter(cleanString)
+      return {
+        ...baseSeries,
+        type: this.typeValue,
+        ...seriesOptions,
+        name: displayName || name,
+        yAxisIndex: entry.yAxisIndex || 0,
+        data: keys.map(key => (key in data ? this.extractValue(data[key]) : null))
+      }
+    })
+
+    if (config.legend === undefined && config.series.length > 1) {
+      config.legend = { top: 0 }
     }
-    return cleanString
   }
 
   /**
-   * Returns a safe formatter function based on the formatter string.
-   * This prevents arbitrary code execution by using a whitelist approach.
+   * Builds a heatmap of counts per label (x-axis) and bucket (y-axis):
+   *
+   *   { labels: [1700000000, 1700003600],
+   *     buckets: [{ label: "0-25 ms", min: 0, max: 25 }, { label: "25-50 ms", min: 25, max: 50 }],
+   *     counts: [[0, 1, 12], [1, 0, 3]] }  // [label index, bucket index, count]
    *
-   * Security: Replaces eval() to prevent XSS and code injection attacks.
+   * Cells carry their time and bucket label for the heatmap_tooltip formatter.
+   * The visualMap runs from zero to the largest count unless the options set it.
    */
-  getSafeFormatter(formatterString) {
-    // Whitelist of safe formatter patterns
-    // Each pattern maps to a safe implementation
-    const SAFE_FORMATTERS = {
-      // Duration formatter (milliseconds)
-      'duration_ms': (value) => {
-        if (typeof value === 'number') {
-          return value.toFixed(2) + ' ms'
-        }
-        return value
-      },
+  setHeatmapChartData(config) {
+    const { labels = [], buckets = [], counts = [] } = this.dataValue
 
-      // Percentage formatter
-      'percentage': (value) => {
-        if (typeof value === 'number') {
-          return value.toFixed(1) + '%'
-        }
-        return value
-      },
+    config.xAxis = { ...(config.xAxis || {}), type: 'category', data: labels.map(k => this.parseLabel(k)) }
+    config.yAxis = { ...(config.yAxis || {}), type: 'category', data: buckets.map(bucket => bucket.label) }
 
-      // Number with commas
-      'number_delimited': (value) => {
-        if (typeof value === 'number') {
-          return value.toLocaleString()
-        }
-        return value
-      },
+    const maxCount = counts.reduce((max, cell) => Math.max(max, cell[2]), 0)
+    config.visualMap = { min: 0, max: Math.max(1, maxCount), ...(config.visualMap || {}) }
 
-      // Unix timestamp formatter (seconds since epoch)
-      // Converts to milliseconds for JavaScript Date
-      'unix_timestamp': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num * 1000)
-          return date.toLocaleString()
-        }
-        return value
-      },
+    const baseSeries = Array.isArray(config.series) ? (config.series[0] || {}) : (config.series || {})
+    config.series = [{
+      ...baseSeries,
+      type: 'heatmap',
+      data: counts.map(([x, y, count]) => ({
+        value: [x, y, count],
+        time: labels[x],
+        bucket: buckets[y]?.label
+      }))
+    }]
+  }
 
-      // Unix timestamp to date only
-      'unix_date': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num * 1000)
-          return date.toLocaleDateString()
-        }
-        return value
-      },
+  /**
+   * Builds a duration histogram with its cumulative distribution:
+   *
+   *   { bins: [{ label: "0-50 ms", min: 0, max: 50, count: 12 }, { label: "50+ ms", min: 50, max: null, count: 3 }],
+   *     percentiles: { p50: 42.5, p95: 310, p99: 812.25 },
+   *     total: 15 }
+   *
+   * Bars count the durations per bin and a line on a secondary 0-100% axis shows
+   * the share up to the end of each bin. The percentiles are marked on the bins
+   * containing them, on the line so annotation marks on the bars don't replace them.
+   */
+  setHistogramChartData(config) {
+    const { bins = [], percentiles = {}, total = 0 } = this.dataValue
 
-      // Unix timestamp to time only (hours)
-      'unix_time': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num * 1000)
-          return date.getHours().toString().padStart(2, '0') + ':00'
-        }
-        return value
-      },
+    config.xAxis = { ...(config.xAxis || {}), type: 'category', data: bins.map(bin => bin.label) }
 
-      // Timestamp formatter (milliseconds - JavaScript native)
-      'timestamp': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num)
-          return date.toLocaleString()
-        }
-        return value
-      },
+    const countAxis = Array.isArray(config.yAxis) ? config.yAxis[0] : config.yAxis
+    config.yAxis = [
+      { ...(countAxis || {}), type: 'value' },
+      { type: 'value', min: 0, max: 100, splitLine: { show: false }, axisLabel: { formatter: '{value}%' } }
+    ]
+
+    let cumulative = 0
+    const shares = bins.map(bin => {
+      cumulative += bin.count
+      return total > 0 ? Math.round(cumulative / total * 1000) / 10 : 0
+    })
+
+    const baseSeries = Array.isArray(config.series) ? (config.series[0] || {}) : (config.series || {})
+    config.series = [
+      { ...baseSeries, type: 'bar', name: 'Count', data: bins.map(bin => bin.count) },
+      {
+        type: 'line',
+        name: 'Cumulative',
+        yAxisIndex: 1,
+        data: shares,
+        smooth: true,
+        symbol: 'none',
+        lineStyle: { width: 2 },
+        tooltip: { valueFormatter: value => `${value}%` },
+        markLine: this.percentileMarks(bins, percentiles)
+      }
+    ]
 
-      // Date only (milliseconds - JavaScript native)
-      'date': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num)
-          return date.toLocaleDateString()
+    if (config.legend === undefined) {
+      config.legend = { top: 0 }
+    }
+  }
+
+  percentileMarks(bins, percentiles) {
+    const data = Object.entries(percentiles)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([name, value]) => {
+        const index = bins.findIndex(bin => value >= bin.min && (bin.max === null || bin.max === undefined || value < bin.max))
+        return {
+          name: `${name} ${this.formatComparisonValue(value, 'ms')}`,
+          xAxis: index === -1 ? bins.length - 1 : index
         }
-        return value
-      },
+      })
+
+    return {
+      symbol: ['none', 'none'],
+      silent: true,
+      animation: false,
+      lineStyle: { type: 'dashed', width: 1, color: '#999999' },
+      label: { position: 'insideEndTop', formatter: '{b}' },
+      data
+    }
+  }
+
+  // Adds the comparison data as a dashed, non-interactive series aligned to the
+  // current labels and extends the tooltip with the delta against it
+  applyComparison(config) {
+    const comparison = this.comparisonValue
+    if (!comparison?.data || Object.keys(comparison.data).length === 0) return
+    if (this.isMultiSeries(this.dataValue)) return
+
+    const name = comparison.name || 'Previous period'
+    const previousValues = config.xAxis.data.map(label => {
+      const value = comparison.data[label]
+      return value === undefined ? null : this.extractValue(value)
+    })
+
+    config.series.push({
+      name,
+      type: 'line',
+      data: previousValues,
+      silent: true,
+      smooth: true,
+      symbol: 'none',
+      z: 1,
+      lineStyle: { type: 'dashed', width: 2, color: '#999999', opacity: 0.8 },
+      itemStyle: { color: '#999999' }
+    })
+
+    config.tooltip = config.tooltip || {}
+    const baseFormatter = config.tooltip.formatter
+
+    config.tooltip.formatter = (params) => {
+      const list = Array.isArray(params) ? params : [params]
+      const currentParams = list.filter(p => p.seriesName !== name)
+      const current = currentParams[0]
+      if (!current) return ''
+
+      let header = typeof baseFormatter === 'function' ? baseFormatter(currentParams) : null
+      if (typeof header !== 'string') {
+        header = `${current.axisValueLabel ?? current.name} <br /> ${current.marker} ${this.formatComparisonValue(this.extractValue(current.data), comparison.units)}`
+      }
+
+      return `${header} <br /> ${this.comparisonSummary(this.extractValue(current.data), previousValues[current.dataIndex], comparison.units)}`
+    }
+  }
+
+  // Above the threshold, ECharts samples every series down to the pixels available.
+  // Sampling runs after dataZoom filtering, so zooming in restores full resolution
+  // and data indices in events still refer to the original points.
+  applyDownsampling(config) {
+    if (!this.hasDownsampleValue) return
+
+    const { threshold = DOWNSAMPLE_THRESHOLD, method = 'lttb' } = this.downsampleValue
+    const pointCount = config.xAxis?.data?.length || 0
+    if (pointCount <= threshold) return
+
+    config.animation = false
+    config.series.forEach(series => {
+      if (series.type === 'bar' || series.type === 'line') {
+        series.sampling = method
+      }
+    })
+  }
+
+  comparisonSummary(currentValue, previousValue, units) {
+    if (typeof previousValue !== 'number' || typeof currentValue !== 'number') {
+      return 'Previous period: no data'
+    }
+
+    const delta = currentValue - previousValue
+    const sign = delta > 0 ? '+' : ''
+    const percent = previousValue === 0 ? null : (delta / previousValue) * 100
+    const percentText = percent === null ? '' : ` (${sign}${percent.toFixed(1)}%)`
+
+    return `Previous period: ${this.formatComparisonValue(previousValue, units)}` +
+      ` <br /> Change: ${sign}${this.formatComparisonValue(delta, units)}${percentText}`
+  }
+
+  formatComparisonValue(value, units) {
+    if (typeof value !== 'number') return value
+    const rounded = Math.round(value * 100) / 100
+    return units ? `${rounded} ${units}` : `${rounded}`
+  }
+
+  // Public API: add an annotation to this chart only. Use
+  // window.RailsPulse.annotations.add to annotate every chart on the page.
+  addAnnotation(annotation) {
+    this.annotationsValue = [...this.annotationsValue, annotation]
+  }
+
+  annotationsValueChanged() {
+    this.refreshAnnotations()
+  }
+
+  refreshAnnotations() {
+    if (!this.chart) return
+
+    const labels = this.chart.getOption().xAxis?.[0]?.data || []
+    this.chart.setOption({ series: [this.buildMarks(labels)] })
+  }
+
+  // Annotations and thresholds share the first series' markLine and markArea.
+  // Threshold marks come after the annotations, so clicking one finds no annotation.
+  buildMarks(labels) {
+    const marks = this.buildAnnotationMarks(labels)
+    const thresholds = this.drawnThresholds || []
+
+    if (this.thresholdBandsValue) {
+      thresholds.forEach((threshold, index) => {
+        marks.markArea.data.push([
+          { name: threshold.label || '', yAxis: threshold.value, itemStyle: { color: threshold.color, opacity: 0.08 } },
+          { yAxis: thresholds[index + 1]?.value ?? 'max' }
+        ])
+      })
+    } else {
+      thresholds.forEach(threshold => {
+        marks.markLine.data.push({
+          name: threshold.label || '',
+          yAxis: threshold.value,
+          lineStyle: { color: threshold.color, type: 'dashed', width: 1 },
+          label: { position: 'insideEndTop', formatter: '{b}', color: threshold.color }
+        })
+      })
+    }
+
+    return marks
+  }
+
+  // Thresholds in ascending order. They are values on the y-axis, which heatmaps and
+  // histograms don't plot.
+  thresholds() {
+    if (this.typeValue === 'heatmap' || this.typeValue === 'histogram') return []
+
+    return this.thresholdsValue
+      .filter(threshold => typeof threshold.value === 'number')
+      .sort((a, b) => a.value - b.value)
+  }
+
+  // Color of the highest threshold the value reaches, or null below all of them
+  thresholdColor(value) {
+    const number = this.extractValue(value)
+    if (typeof number !== 'number') return null
+
+    let color = null
+    this.thresholds().forEach(threshold => {
+      if (number >= threshold.value) color = threshold.color
+    })
+    return color
+  }
+
+  // Bars of the first series reaching a threshold take its color, the others keep
+  // the series color
+  applyThresholds(config) {
+    const series = config.series[0]
+    if (this.thresholds().length === 0 || series?.type !== 'bar') return
+
+    const baseColor = typeof series.itemStyle?.color === 'string' ? series.itemStyle.color : null
+    series.itemStyle = {
+      ...(series.itemStyle || {}),
+      color: (params) => this.thresholdColor(params.value) || baseColor || params.color
+    }
+  }
+
+  // ECharts leaves marks out of the axis extent and doesn't clip them, so thresholds
+  // well above the data would be drawn over the title and legend. The y-axis is
+  // extended to the lowest threshold and higher ones are drawn once the data reaches them.
+  applyThresholdAxis(config) {
+    const thresholds = this.thresholds()
+    this.drawnThresholds = []
+    if (thresholds.length === 0) return
+
+    const lowest = thresholds[0].value
+    const top = config.series
+      .filter(series => !series.yAxisIndex)
+      .flatMap(series => series.data || [])
+      .reduce((highest, value) => {
+        const number = Number(this.extractValue(value))
+        return isNaN(number) ? highest : Math.max(highest, number)
+      }, lowest)
+    this.drawnThresholds = thresholds.filter(threshold => threshold.value <= top)
+
+    const axis = Array.isArray(config.yAxis) ? config.yAxis[0] : config.yAxis
+    if (axis && axis.max === undefined) {
+      axis.max = ({ max }) => Math.max(max, lowest)
+    }
+  }
 
-      // Time only (milliseconds - JavaScript native)
-      'time': (value) => {
-        const num = typeof value === 'string' ? Number(value) : value
-        if (!isNaN(num)) {
-          const date = new Date(num)
-          return date.toLocaleTimeString()
+  // Maps annotations onto the category axis. Labels are bucket start timestamps,
+  // so each annotation snaps to the bucket containing it; annotations outside the
+  // charted range, or on charts without timestamp labels, are skipped.
+  buildAnnotationMarks(labels) {
+    this.annotationLines = []
+    this.annotationAreas = []
+
+    const timestamps = labels.map(Number)
+    const annotations = [...globalAnnotations(), ...this.annotationsValue]
+
+    if (timestamps.length > 0 && !timestamps.some(isNaN)) {
+      const step = timestamps.length > 1 ? timestamps[1] - timestamps[0] : 0
+
+      annotations.forEach(annotation => {
+        const startIndex = this.annotationBucketIndex(annotation.time, timestamps, step)
+        if (startIndex === -1) return
+
+        if (annotation.endTime) {
+          const endIndex = this.annotationBucketIndex(annotation.endTime, timestamps, step)
+          if (endIndex !== -1) {
+            this.annotationAreas.push({ annotation, startIndex, endIndex })
+          }
+        } else {
+          this.annotationLines.push({ annotation, startIndex })
         }
-        return value
+      })
+    }
+
+    return {
+      markLine: {
+        symbol: ['none', 'none'],
+        animation: false,
+        lineStyle: { type: 'solid', width: 2 },
+        label: { position: 'insideEndTop', formatter: '{b}' },
+        data: this.annotationLines.map(({ annotation, startIndex }) => ({
+          name: annotation.label || '',
+          xAxis: startIndex,
+          lineStyle: { color: this.annotationColor(annotation) }
+        }))
       },
+      markArea: {
+        animation: false,
+        label: { position: 'insideTop', formatter: '{b}' },
+        data: this.annotationAreas.map(({ annotation, startIndex, endIndex }) => [
+          {
+            name: annotation.label || '',
+            xAxis: startIndex,
+            itemStyle: { color: this.annotationColor(annotation), opacity: 0.15 }
+          },
+          { xAxis: endIndex }
+        ])
+      }
+    }
+  }
 
-      // Bytes formatter
-      'bytes': (value) => {
-        if (typeof value !== 'number') return value
+  // Index of the bucket whose range contains time, or -1 when it is outside the
+  // charted range
+  annotationBucketIndex(time, timestamps, step) {
+    const seconds = this.annotationSeconds(time)
+    if (isNaN(seconds) || seconds < timestamps[0]) return -1
+    if (seconds >= timestamps[timestamps.length - 1] + step && step > 0) return -1
 
-        const units = ['B', 'KB', 'MB', 'GB', 'TB']
-        let size = value
-        let unitIndex = 0
+    let index = 0
+    while (index + 1 < timestamps.length && timestamps[index + 1] <= seconds) {
+      index++
+    }
+    return index
+  }
 
-        while (size >= 1024 && unitIndex < units.length - 1) {
-          size /= 1024
-          unitIndex++
-        }
+  annotationSeconds(time) {
+    if (typeof time === 'number') return time
+    if (typeof time === 'string' && /^\d+$/.test(time)) return Number(time)
+    return Date.parse(time) / 1000
+  }
+
+  annotationColor(annotation) {
+    return annotation.color || ANNOTATION_COLORS[annotation.type] || '#999999'
+  }
+
+  // Shows the clicked annotation in a popover anchored at the click position
+  showAnnotation(params) {
+    const marks = params.componentType === 'markArea' ? this.annotationAreas : this.annotationLines
+    const annotation = marks?.[params.dataIndex]?.annotation
+    if (!annotation) return
+
+    const popover = this.annotationPopover()
+    const nativeEvent = params.event?.event
+    if (nativeEvent) {
+      popover.anchor.style.setProperty('--annotation-x', `${nativeEvent.clientX}px`)
+      popover.anchor.style.setProperty('--annotation-y', `${nativeEvent.clientY}px`)
+    }
+
+    popover.title.textContent = annotation.label || 'Annotation'
+    popover.time.textContent = this.annotationTimeText(annotation)
+    popover.description.textContent = annotation.description || ''
+
+    const showPopover = () => {
+      const popoverController = this.application.getControllerForElementAndIdentifier(
+        popover.wrapper,
+        'rails-pulse--popover'
+      )
+      if (popoverController) {
+        popoverController.show()
+      }
+    }
+
+    // Stimulus connects the controller of a popover built by this click only once it
+    // has seen the new element, after this tick
+    if (popover.created) {
+      popover.created = false
+      requestAnimationFrame(showPopover)
+    } else {
+      showPopover()
+    }
+  }
+
+  annotationTimeText(annotation) {
+    const start = formatInTimeZone(new Date(this.annotationSeconds(annotation.time) * 1000))
+    if (!annotation.endTime) return start
+
+    const end = formatInTimeZone(new Date(this.annotationSeconds(annotation.endTime) * 1000))
+    return `${start} – ${end}`
+  }
+
+  // Builds the popover markup once per chart, using the popover controller
+  annotationPopover() {
+    if (this.annotationPopoverElements) return this.annotationPopoverElements
+
+    const wrapper = document.createElement('div')
+    wrapper.className = 'chart-annotation'
+    wrapper.setAttribute('data-controller', 'rails-pulse--popover')
+    wrapper.setAttribute('data-rails-pulse--popover-placement-value', 'top')
+
+    const anchor = document.createElement('span')
+    anchor.className = 'chart-annotation__anchor'
+    anchor.setAttribute('data-rails-pulse--popover-target', 'button')
+
+    const menu = document.createElement('div')
+    menu.className = 'popover card chart-annotation__popover'
+    menu.setAttribute('popover', '')
+    menu.setAttribute('data-rails-pulse--popover-target', 'menu')
+
+    const title = document.createElement('h3')
+    title.className = 'font-semibold leading-none mbe-2 text-sm'
+    const time = document.createElement('p')
+    time.className = 'text-xs text-subtle mbe-2'
+    const description = document.createElement('p')
+    description.className = 'text-sm'
+
+    menu.append(title, time, description)
+    wrapper.append(anchor, menu)
+    this.element.appendChild(wrapper)
+
+    this.annotationPopoverElements = { wrapper, anchor, title, time, description, created: true }
+    return this.annotationPopoverElements
+  }
+
+  // Builds the export button and menu, reusing the popover and menu controllers
+  buildExportMenu() {
+    if (this.exportMenuElement) return
+
+    const wrapper = document.createElement('div')
+    wrapper.className = 'chart-export'
+    wrapper.setAttribute('data-controller', 'rails-pulse--popover')
+    wrapper.setAttribute('data-rails-pulse--popover-placement-value', 'bottom-end')
+
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'btn btn--borderless btn--icon'
+    button.setAttribute('aria-label', 'Export chart')
+    button.setAttribute('aria-haspopup', 'true')
+    button.setAttribute('data-rails-pulse--popover-target', 'button')
+    button.setAttribute('data-action', 'rails-pulse--popover#toggle')
+
+    const icon = document.createElement('rails-pulse-icon')
+    icon.setAttribute('data-controller', 'rails-pulse--icon')
+    icon.setAttribute('data-rails-pulse--icon-name-value', 'download')
+    icon.setAttribute('data-rails-pulse--icon-width-value', '16')
+    icon.setAttribute('data-rails-pulse--icon-height-value', '16')
+    button.appendChild(icon)
+
+    const popover = document.createElement('div')
+    popover.className = 'popover'
+    popover.setAttribute('popover', '')
+    popover.setAttribute('data-rails-pulse--popover-target', 'menu')
+
+    const menu = document.createElement('div')
+    menu.className = 'menu'
+    menu.setAttribute('role', 'menu')
+    menu.setAttribute('data-controller', 'rails-pulse--menu')
+    menu.setAttribute('data-action', 'keydown.up->rails-pulse--menu#prev keydown.down->rails-pulse--menu#next')
+
+    const formats = [['png', 'Download PNG'], ['svg', 'Download SVG'], ['csv', 'Download CSV'], ['json', 'Download JSON']]
+    formats.forEach(([format, label]) => {
+      const item = document.createElement('button')
+      item.type = 'button'
+      item.className = 'btn menu__item'
+      item.textContent = label
+      item.setAttribute('role', 'menuitem')
+      item.setAttribute('data-rails-pulse--menu-target', 'item')
+      item.setAttribute('data-action', 'rails-pulse--chart#export')
+      item.setAttribute('data-rails-pulse--chart-format-param', format)
+      menu.appendChild(item)
+    })
+
+    const tableItem = document.createElement('button')
+    tableItem.type = 'button'
+    tableItem.className = 'btn menu__item'
+    tableItem.textContent = 'Show data table'
+    tableItem.setAttribute('role', 'menuitem')
+    tableItem.setAttribute('data-rails-pulse--menu-target', 'item')
+    tableItem.setAttribute('data-action', 'rails-pulse--chart#toggleDataTable')
+    menu.appendChild(tableItem)
+    this.dataTableToggle = tableItem
+
+    popover.appendChild(menu)
+    wrapper.append(button, popover)
+    this.element.appendChild(wrapper)
+    this.exportMenuElement = wrapper
+  }
 
-        return size.toFixed(2) + ' ' + units[unitIndex]
+  // Action: download the chart or its data, limited to the current zoom window
+  export(event) {
+    if (!this.chart) return
+
+    const format = event.params.format
+    try {
+      switch (format) {
+        case 'png':
+          this.download(this.chart.getDataURL({
+            type: 'png',
+            pixelRatio: 2,
+            backgroundColor: this.exportBackgroundColor(),
+            excludeComponents: ['dataZoom', 'toolbox']
+          }), 'png')
+          break
+        case 'svg':
+          this.downloadBlob(this.renderSvg(), 'image/svg+xml', 'svg')
+          break
+        case 'csv':
+          this.downloadBlob(this.exportCsv(), 'text/csv', 'csv')
+          break
+        case 'json':
+          this.downloadBlob(JSON.stringify(this.exportJson(), null, 2), 'application/json', 'json')
+          break
+        default:
+          console.warn('[RailsPulse] Unknown export format:', format)
       }
+    } catch (error) {
+      console.error('[RailsPulse] Error exporting chart:', error)
+    }
+
+    const popoverController = this.application.getControllerForElementAndIdentifier(
+      this.exportMenuElement,
+      'rails-pulse--popover'
+    )
+    if (popoverController) {
+      popoverController.hide()
+    }
+  }
+
+  // Index range of the x-axis currently shown by dataZoom (the whole axis when not zoomed)
+  visibleRange() {
+    const option = this.chart.getOption()
+    const labels = option.xAxis?.[0]?.data || []
+    const dataZoom = option.dataZoom?.[0]
+
+    const start = dataZoom?.startValue ?? 0
+    const end = dataZoom?.endValue ?? labels.length - 1
+    return { labels, start, end }
+  }
+
+  // The canvas renderer can't produce SVG, so re-render the current option
+  // (including the zoom window) into a throwaway SVG-rendered instance
+  renderSvg() {
+    const container = document.createElement('div')
+    const svgChart = echarts.init(container, this.currentTheme(), {
+      renderer: 'svg',
+      width: this.chart.getWidth(),
+      height: this.chart.getHeight()
+    })
+
+    try {
+      svgChart.setOption({ ...this.chart.getOption(), animation: false })
+      return svgChart.renderToSVGString()
+    } finally {
+      svgChart.dispose()
+    }
+  }
+
+  exportCsv() {
+    const { labels, start, end } = this.visibleRange()
+    const columns = this.exportColumns()
+
+    const header = ['label', ...columns.map(column => column.name)]
+    const rows = [header]
+    for (let i = start; i <= end; i++) {
+      rows.push([labels[i], ...columns.map(column => {
+        const value = column.values[i]
+        return value === null || value === undefined ? '' : value
+      })])
+    }
+
+    return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\n') + '\n'
+  }
+
+  // One column per series, or per bucket for a heatmap
+  exportColumns() {
+    if (this.typeValue === 'heatmap') return this.accessibleData.series
+
+    return (this.chart.getOption().series || []).map((s, index) => ({
+      name: s.name || (index === 0 ? 'value' : `series_${index}`),
+      values: (s.data || []).map(value => this.extractValue(value))
+    }))
+  }
+
+  csvCell(value) {
+    const text = String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  // dataValue restricted to the labels inside the zoom window
+  exportJson() {
+    const { labels, start, end } = this.visibleRange()
+    const visible = new Set(labels.slice(start, end + 1).map(String))
+    const pick = (data) => Object.fromEntries(Object.entries(data).filter(([key]) => visible.has(key)))
+
+    if (this.typeValue === 'histogram') {
+      return { ...this.dataValue, bins: (this.dataValue.bins || []).slice(start, end + 1) }
     }
 
-    // Try to match the formatter string to a known safe pattern
-    for (const [key, formatter] of Object.entries(SAFE_FORMATTERS)) {
-      if (formatterString.includes(key) ||
-          formatterString.includes(key.replace('_', ''))) {
-        return formatter
+    // Heatmap cells refer to labels by index, so renumber them for the sliced labels
+    if (this.typeValue === 'heatmap') {
+      const { labels: allLabels = [], buckets = [], counts = [] } = this.dataValue
+      return {
+        labels: allLabels.slice(start, end + 1),
+        buckets,
+        counts: counts.filter(([x]) => x >= start && x <= end).map(([x, y, count]) => [x - start, y, count])
       }
     }
 
-    // Check for specific safe patterns in the function string
-    if (formatterString.includes('toFixed(2)') && formatterString.includes('ms')) {
-      return SAFE_FORMATTERS.duration_ms
+    if (this.isMultiSeries(this.dataValue)) {
+      const series = {}
+      Object.entries(this.dataValue.series).forEach(([name, entry]) => {
+        series[name] = { ...entry, data: pick(entry.data) }
+      })
+      return { series }
+    }
+
+    return pick(this.dataValue)
+  }
+
+  exportBackgroundColor() {
+    return document.documentElement.getAttribute('data-color-scheme') === 'dark' ? '#1f1f1f' : '#ffffff'
+  }
+
+  exportFilename(extension) {
+    const { labels, start, end } = this.visibleRange()
+    const base = this.element.id || 'rails-pulse-chart'
+    const range = labels.length > 0 ? `-${labels[start]}-${labels[end]}` : ''
+    return `${base}${range}.${extension}`
+  }
+
+  downloadBlob(content, type, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    this.download(url, extension)
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  download(url, extension) {
+    const link = document.createElement('a')
+    link.href = url
+    link.download = this.exportFilename(extension)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+  }
+
+  // Accessibility: every chart carries an aria-description summarizing each series and
+  // arrow key navigation between data points that announces their values. Charts with
+  // the export menu also carry a visually hidden data table, which the menu can show.
+  updateDataTable(config) {
+    const labels = config.xAxis?.data || []
+    const series = this.accessibleSeries(config)
+
+    this.accessibleData = { labels, series, xAxis: config.xAxis }
+
+    let summary
+    if (this.typeValue === 'heatmap') {
+      summary = this.heatmapSummary()
+    } else if (this.typeValue === 'histogram') {
+      summary = this.histogramSummary()
+    } else {
+      summary = series.map(entry => this.seriesSummary(entry, series.length > 1)).join(' ')
+    }
+    this.element.setAttribute('role', 'group')
+    this.element.setAttribute('aria-roledescription', 'chart')
+    this.element.setAttribute('aria-description', summary)
+
+    // Replace the previous table, including one left in a restored Turbo snapshot
+    const visible = this.dataTableElement?.classList.contains('chart-data-table--visible')
+    this.element.querySelectorAll(':scope > .chart-data-table').forEach(element => element.remove())
+
+    const wrapper = document.createElement('div')
+    wrapper.className = 'chart-data-table'
+    if (visible) wrapper.classList.add('chart-data-table--visible')
+
+    // Announces the data point selected with the arrow keys
+    const liveRegion = document.createElement('div')
+    liveRegion.className = 'sr-only'
+    liveRegion.setAttribute('aria-live', 'polite')
+    this.liveRegion = liveRegion
+    wrapper.appendChild(liveRegion)
+
+    this.dataTableElement = wrapper
+    if (this.exportableValue) {
+      wrapper.prepend(this.buildDataTable(summary, labels, series, config.xAxis))
+    }
+    this.attachDataTable()
+  }
+
+  buildDataTable(summary, labels, series, xAxis) {
+    const table = document.createElement('table')
+    table.className = 'table'
+
+    const caption = document.createElement('caption')
+    caption.className = 'sr-only'
+    caption.textContent = summary
+    table.appendChild(caption)
+
+    const headerRow = table.createTHead().insertRow()
+    ;['Label', ...series.map(entry => entry.name)].forEach(text => {
+      const th = document.createElement('th')
+      th.scope = 'col'
+      th.textContent = text
+      headerRow.appendChild(th)
+    })
+
+    const body = table.createTBody()
+    labels.forEach((label, index) => {
+      const row = body.insertRow()
+      const th = document.createElement('th')
+      th.scope = 'row'
+      th.textContent = this.axisText(xAxis, label)
+      row.appendChild(th)
+
+      series.forEach(entry => {
+        row.insertCell().textContent = this.axisText(entry.yAxis, entry.values[index])
+      })
+    })
+
+    return table
+  }
+
+  // Columns of the data table: one per series, or one per bucket holding its count
+  // per label for a heatmap
+  accessibleSeries(config) {
+    if (this.typeValue === 'heatmap') {
+      const { buckets = [], counts = [] } = this.dataValue
+      const labelCount = config.xAxis?.data?.length || 0
+
+      return buckets.map((bucket, bucketIndex) => {
+        const values = new Array(labelCount).fill(0)
+        counts.forEach(([x, y, count]) => {
+          if (y === bucketIndex) values[x] = count
+        })
+        return { name: bucket.label, values, yAxis: null }
+      })
+    }
+
+    const yAxes = Array.isArray(config.yAxis) ? config.yAxis : [config.yAxis]
+    return (config.series || [])
+      .filter(entry => Array.isArray(entry.data))
+      .map((entry, index) => ({
+        name: entry.name || (index === 0 ? 'Value' : `Series ${index + 1}`),
+        values: entry.data.map(value => this.extractValue(value)),
+        yAxis: yAxes[entry.yAxisIndex || 0]
+      }))
+  }
+
+  attachDataTable() {
+    if (this.dataTableElement && !this.element.contains(this.dataTableElement)) {
+      this.element.appendChild(this.dataTableElement)
+    }
+  }
+
+  toggleDataTable() {
+    if (!this.dataTableElement) return
+
+    const visible = this.dataTableElement.classList.toggle('chart-data-table--visible')
+    if (this.dataTableToggle) {
+      this.dataTableToggle.textContent = visible ? 'Hide data table' : 'Show data table'
+    }
+
+    const popoverController = this.application.getControllerForElementAndIdentifier(
+      this.exportMenuElement,
+      'rails-pulse--popover'
+    )
+    if (popoverController) {
+      popoverController.hide()
+    }
+  }
+
+  // e.g. "Average: 24 points from 09:00 to 08:00. Minimum 12 ms at 03:00, maximum
+  // 340 ms at 14:00, average 85.5 ms. Trend: rising."
+  seriesSummary(entry, named) {
+    const { labels, xAxis } = this.accessibleData
+    const points = entry.values
+      .map((value, index) => ({ value: Number(value), index }))
+      .filter(point => entry.values[point.index] !== null && !isNaN(point.value))
+
+    const prefix = named ? `${entry.name}: ` : ''
+    if (points.length === 0) return `${prefix}no data.`
+
+    const min = points.reduce((best, point) => (point.value < best.value ? point : best))
+    const max = points.reduce((best, point) => (point.value > best.value ? point : best))
+    const average = points.reduce((sum, point) => sum + point.value, 0) / points.length
+    const labelText = (index) => this.axisText(xAxis, labels[index])
+    const valueText = (value) => this.axisText(entry.yAxis, value)
+
+    return `${prefix}${points.length} points from ${labelText(points[0].index)} to ${labelText(points[points.length - 1].index)}. ` +
+      `Minimum ${valueText(min.value)} at ${labelText(min.index)}, maximum ${valueText(max.value)} at ${labelText(max.index)}, ` +
+      `average ${valueText(average)}. Trend: ${this.trend(points, average)}.`
+  }
+
+  // e.g. "1,204 in total from 09:00 to 08:00. Most common: 25-50 ms (61%), then
+  // 500-1000 ms (22%)."
+  heatmapSummary() {
+    const { labels, series, xAxis } = this.accessibleData
+    const totals = series.map(entry => ({ name: entry.name, total: entry.values.reduce((sum, count) => sum + count, 0) }))
+    const total = totals.reduce((sum, entry) => sum + entry.total, 0)
+    if (total === 0 || labels.length === 0) return 'No data.'
+
+    const [first, second] = totals.filter(entry => entry.total > 0).sort((a, b) => b.total - a.total)
+    const share = (entry) => `${entry.name} (${Math.round(entry.total / total * 100)}%)`
+
+    return `${total.toLocaleString()} in total from ${this.axisText(xAxis, labels[0])} to ${this.axisText(xAxis, labels[labels.length - 1])}. ` +
+      `Most common: ${share(first)}${second ? `, then ${share(second)}` : ''}.`
+  }
+
+  // e.g. "1,204 in total. p50 42.5 ms, p95 310 ms, p99 812.25 ms. Most common:
+  // 25-50 ms (31%)."
+  histogramSummary() {
+    const { bins = [], percentiles = {}, total = 0 } = this.dataValue
+    if (total === 0 || bins.length === 0) return 'No data.'
+
+    const marks = Object.entries(percentiles)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([name, value]) => `${name} ${this.formatComparisonValue(value, 'ms')}`)
+    const mostCommon = bins.reduce((best, bin) => (bin.count > best.count ? bin : best))
+
+    return `${total.toLocaleString()} in total. ${marks.length > 0 ? `${marks.join(', ')}. ` : ''}` +
+      `Most common: ${mostCommon.label} (${Math.round(mostCommon.count / total * 100)}%).`
+  }
+
+  // Direction of the least-squares line, flat when it moves less than 5% of the average
+  trend(points, average) {
+    if (points.length < 2 || average === 0) return 'flat'
+
+    const meanIndex = points.reduce((sum, point) => sum + point.index, 0) / points.length
+    let numerator = 0
+    let denominator = 0
+    points.forEach(point => {
+      numerator += (point.index - meanIndex) * (point.value - average)
+      denominator += (point.index - meanIndex) ** 2
+    })
+
+    const span = points[points.length - 1].index - points[0].index
+    const change = (numerator / denominator) * span / Math.abs(average)
+    if (change > 0.05) return 'rising'
+    if (change < -0.05) return 'falling'
+    return 'flat'
+  }
+
+  // Text for a value on an axis, using the axis label formatter when there is one
+  axisText(axis, value) {
+    if (value === null || value === undefined) return 'No data'
+
+    const display = typeof value === 'number'
+      ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+      : String(value)
+    const formatter = axis?.axisLabel?.formatter
+
+    try {
+      if (typeof formatter === 'function') return String(formatter(value, 0))
+      if (typeof formatter === 'string') return formatter.replace('{value}', display)
+    } catch (error) {
+      console.error('[RailsPulse] Error formatting chart value:', error)
+    }
+    return display
+  }
+
+  // Arrow keys move between data points of the visible window, Home/End jump to the
+  // first/last one and Escape hides the tooltip
+  navigate(event) {
+    if (!this.chart || !this.accessibleData) return
+
+    const { start, end } = this.visibleRange()
+    const current = this.focusedIndex ?? null
+    let index
+
+    switch (event.key) {
+      case 'ArrowRight':
+        index = current === null ? start : current + 1
+        break
+      case 'ArrowLeft':
+        index = current === null ? end : current - 1
+        break
+      case 'Home':
+        index = start
+        break
+      case 'End':
+        index = end
+        break
+      case 'Escape':
+        this.focusedIndex = null
+        this.chart.dispatchAction({ type: 'hideTip' })
+        return
+      default:
+        return
+    }
+
+    event.preventDefault()
+    this.focusedIndex = Math.min(end, Math.max(start, index))
+    this.showTipAtIndex(this.focusedIndex)
+    this.liveRegion.textContent = this.pointText(this.focusedIndex)
+  }
+
+  // e.g. "14:00: Average 120 ms, Previous period 95 ms"
+  pointText(index) {
+    const { labels, series, xAxis } = this.accessibleData
+    const values = series.map(entry => {
+      const value = this.axisText(entry.yAxis, entry.values[index])
+      return series.length > 1 ? `${entry.name} ${value}` : value
+    })
+
+    return `${this.axisText(xAxis, labels[index])}: ${values.join(', ')}`
+  }
+
+  // Grouped charts: hovering or zooming one chart does the same on the others in its
+  // group. Charts are matched by x-axis label (timestamp), not by index, so charts
+  // covering different ranges still line up.
+  joinGroup() {
+    if (!this.groupValue) return
+
+    if (!chartGroups.has(this.groupValue)) {
+      chartGroups.set(this.groupValue, new Set())
+    }
+    chartGroups.get(this.groupValue).add(this)
+
+    this.chart.on('updateAxisPointer', (event) => this.syncAxisPointer(event))
+    this.chart.on('globalout', () => {
+      this.pointerLabel = null
+      this.syncGroup(controller => controller.hideTip())
+    })
+    this.chart.on('datazoom', () => this.syncZoom())
+  }
+
+  leaveGroup() {
+    const group = chartGroups.get(this.groupValue)
+    if (!group) return
+
+    group.delete(this)
+    if (group.size === 0) {
+      chartGroups.delete(this.groupValue)
+    }
+  }
+
+  // Run callback for every other rendered chart in the group. The actions it
+  // dispatches fire events on those charts, which must not be synced back.
+  syncGroup(callback) {
+    if (syncingGroup) return
+
+    syncingGroup = true
+    try {
+      chartGroups.get(this.groupValue)?.forEach(controller => {
+        if (controller !== this && controller.chart) {
+          callback(controller)
+        }
+      })
+    } finally {
+      syncingGroup = false
+    }
+  }
+
+  syncAxisPointer(event) {
+    const axisInfo = event.axesInfo?.find(info => info.axisDim === 'x')
+    if (!axisInfo) return
+
+    // Category axes report the hovered index as the value. This runs on every mouse
+    // move, so use the labels kept from the last render instead of chart.getOption()
+    const label = this.chartLabels()[axisInfo.value]
+    if (label === undefined || label === this.pointerLabel) return
+
+    this.pointerLabel = label
+    this.syncGroup(controller => controller.showTipAt(label))
+  }
+
+  showTipAt(label) {
+    const index = this.chartLabels().findIndex(value => String(value) === String(label))
+    if (index === -1) {
+      this.hideTip()
+      return
+    }
+
+    this.pointerLabel = label
+    this.showTipAtIndex(index)
+  }
+
+  // A heatmap has one data point per cell, so show the busiest cell of the column
+  showTipAtIndex(labelIndex) {
+    let dataIndex = labelIndex
+    if (this.typeValue === 'heatmap') {
+      const cells = this.chart.getOption().series[0].data
+      dataIndex = cells.reduce((best, cell, index) => {
+        if (cell.value[0] !== labelIndex) return best
+        return best === -1 || cell.value[2] > cells[best].value[2] ? index : best
+      }, -1)
     }
 
-    // Check if this is a Unix timestamp formatter (uses * 1000 to convert to JS milliseconds)
-    const isUnixTimestamp = formatterString.includes('* 1000') || formatterString.includes('*1000')
+    if (dataIndex === -1) {
+      this.chart.dispatchAction({ type: 'hideTip' })
+      return
+    }
+    this.chart.dispatchAction({ type: 'showTip', seriesIndex: 0, dataIndex })
+  }
+
+  hideTip() {
+    this.pointerLabel = null
+    this.chart.dispatchAction({ type: 'hideTip' })
+    this.chart.dispatchAction({ type: 'updateAxisPointer', currTrigger: 'leave' })
+  }
+
+  syncZoom() {
+    const { labels, start, end } = this.visibleRange()
+    if (labels.length === 0) return
+
+    this.syncGroup(controller => controller.zoomToLabels(labels[start], labels[end]))
+  }
+
+  // Zoom to the columns closest to the from/to timestamps, or to the columns with the
+  // from/to labels on charts with text labels (e.g. "Oct 5"). Charts without dataZoom,
+  // or without both labels, stay as they are.
+  zoomToLabels(from, to) {
+    const labels = this.chartLabels()
+    if (labels.length === 0 || !this.chart.getOption().dataZoom?.length) return
+
+    const timestamps = labels.map(Number)
+    const numeric = !timestamps.some(isNaN) && !isNaN(Number(from)) && !isNaN(Number(to))
+    const indexOf = (target) => {
+      if (!numeric) return labels.findIndex(label => String(label) === String(target))
 
-    if (formatterString.includes('toLocaleDateString')) {
-      return isUnixTimestamp ? SAFE_FORMATTERS.unix_date : SAFE_FORMATTERS.date
+      return timestamps.reduce((best, timestamp, index) => {
+        return Math.abs(timestamp - target) < Math.abs(timestamps[best] - target) ? index : best
+      }, 0)
     }
 
-    if (formatterString.includes('toLocaleTimeString')) {
-      return isUnixTimestamp ? SAFE_FORMATTERS.unix_time : SAFE_FORMATTERS.time
+    const startIndex = indexOf(from)
+    const endIndex = indexOf(to)
+    if (startIndex === -1 || endIndex === -1) return
+
+    this.chart.dispatchAction({ type: 'dataZoom', startValue: startIndex, endValue: endIndex })
+  }
+
+  // x-axis labels of the current data, as set by the last render or update
+  chartLabels() {
+    return this.labels || []
+  }
+
+  parseLabel(key) {
+    const num = Number(key)
+    return isNaN(num) ? key : num
+  }
+
+  extractValue(value) {
+    if (typeof value === 'object' && value !== null) {
+      return value.value !== undefined ? value.value : value
     }
+    return value
+  }
 
-    // Check for hour formatting pattern (getHours with padStart)
-    if (formatterString.includes('getHours') && formatterString.includes('padStart')) {
-      return SAFE_FORMATTERS.unix_time
+  // Replace formatter references ({ name:, params: }) anywhere in the options
+  // with functions from the formatter registry. Plain strings are ECharts
+  // templates (e.g. "{value} ms") and are left untouched.
+  processFormatters(config) {
+    if (Array.isArray(config)) {
+      config.forEach(item => this.processFormatters(item))
+      return
     }
+    if (!config || typeof config !== 'object') return
 
-    if (formatterString.includes('toLocaleString')) {
-      // toLocaleString without Date context is number formatting
-      if (formatterString.includes('new Date')) {
-        return isUnixTimestamp ? SAFE_FORMATTERS.unix_timestamp : SAFE_FORMATTERS.timestamp
+    Object.entries(config).forEach(([key, value]) => {
+      if (key === 'formatter') {
+        config[key] = this.parseFormatter(value)
+      } else {
+        this.processFormatters(value)
       }
-      return SAFE_FORMATTERS.number_delimited
+    })
+  }
+
+  parseFormatter(formatter) {
+    if (formatter && typeof formatter === 'object' && formatter.name) {
+      return formatters.resolve(formatter)
     }
 
-    // Default: return a safe identity function that just returns the value
-    console.warn('[RailsPulse] Unknown formatter pattern, using identity function:', formatterString)
-    return (value) => value
+    if (typeof formatter === 'string' && formatter.includes('__FUNCTION_START__')) {
+      console.error('[RailsPulse] Inline JavaScript formatters are not supported, register a named formatter instead:', formatter)
+      return undefined
+    }
+
+    return formatter
   }
 
   showError() {
@@ -339,10 +1461,30 @@ export default class extends Controller {
       this.resizeObserver.disconnect()
     }
 
+    this.leaveGroup()
+
     if (this.chart) {
       this.chart.dispose()
       this.chart = null
     }
+
+    if (this.annotationPopoverElements) {
+      this.annotationPopoverElements.wrapper.remove()
+      this.annotationPopoverElements = null
+    }
+
+    if (this.exportMenuElement) {
+      this.exportMenuElement.remove()
+      this.exportMenuElement = null
+    }
+
+    this.element.removeAttribute('data-chart-rendered')
+
+    // ECharts empties the element on dispose, show the skeleton until the next render
+    if (this.skeleton && !this.element.querySelector('.skeleton-container')) {
+      this.element.appendChild(this.skeleton.cloneNode(true))
+    }
+    this.attachDataTable()
   }
 
   // Action for dynamic updates
@@ -353,27 +1495,81 @@ export default class extends Controller {
     if (event.detail?.options) {
       this.optionsValue = event.detail.options
     }
+    if (event.detail?.comparison) {
+      this.comparisonValue = event.detail.comparison
+    }
+    const config = this.buildChartConfig()
     if (this.chart) {
-      const config = this.buildChartConfig()
       this.chart.setOption(config, true) // true = not merge
+      this.labels = config.xAxis?.data
+
+      // Replacing the option drops anything other controllers added to the chart
+      document.dispatchEvent(new CustomEvent('stimulus:echarts:updated', {
+        detail: {
+          containerId: this.element.id,
+          chart: this.chart,
+          controller: this
+        }
+      }))
     }
+    this.updateDataTable(config)
   }
 
   // Color scheme management
+  currentTheme() {
+    const theme = this.themeValue || 'railspulse'
+    const isDark = document.documentElement.getAttribute('data-color-scheme') === 'dark'
+
+    return (isDark && DARK_THEMES[theme]) || theme
+  }
+
+  // ECharts can't switch the theme of an existing instance, so charts with a dark
+  // companion theme are re-rendered, keeping their zoom window
   onColorSchemeChange() {
-    this.applyColorScheme()
+    if (!this.chart) return
+
+    if (this.chartTheme === this.currentTheme()) {
+      this.applyColorScheme()
+      return
+    }
+
+    this.rerender()
   }
 
+  // Date labels are formatted when the options are built, so a new display timezone
+  // needs a fresh render
+  onTimeZoneChange() {
+    if (!this.chart) {
+      if (this.exportableValue) {
+        this.updateDataTable(this.buildChartConfig())
+      }
+      return
+    }
+
+    this.rerender()
+  }
+
+  // Dispose and render again, keeping the zoom window
+  rerender() {
+    const zoom = this.chart.getOption().dataZoom?.length ? this.visibleRange() : null
+    this.disposeChart()
+    this.renderChart(zoom)
+  }
+
+  // Dark companion themes style the axes themselves, other themes only get their
+  // axis labels recolored
   applyColorScheme() {
-    if (!this.chart) return
+    if (!this.chart || this.chartTheme === DARK_THEMES[this.themeValue || 'railspulse']) return
 
     const scheme = document.documentElement.getAttribute('data-color-scheme')
     const isDark = scheme === 'dark'
     const axisColor = isDark ? '#ffffff' : '#999999'
 
+    const yAxisCount = this.chart.getOption().yAxis?.length || 1
+
     this.chart.setOption({
       xAxis: { axisLabel: { color: axisColor } },
-      yAxis: { axisLabel: { color: axisColor } }
+      yAxis: Array.from({ length: yAxisCount }, () => ({ axisLabel: { color: axisColor } }))
     })
   }
 }
@@ -1,21 +1,73 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Color scheme settings, in the order the toggle cycles through them. "auto" (the
+// default when nothing is stored) follows prefers-color-scheme, including live changes.
+const SETTINGS = ["light", "dark", "auto"]
+const SETTING_NAMES = { light: "Light", dark: "Dark", auto: "Auto" }
+
 export default class extends Controller {
+  static targets = ["button", "icon", "label"]
+
   connect() {
     this.storageKey = "color-scheme"
     this.html = document.documentElement
+    this.mediaQuery = window.matchMedia("(prefers-color-scheme: dark)")
+    this.handleSystemChange = this.onSystemChange.bind(this)
+    this.mediaQuery.addEventListener("change", this.handleSystemChange)
+    this.apply()
+  }
+
+  disconnect() {
+    this.mediaQuery.removeEventListener("change", this.handleSystemChange)
+  }
+
+  get setting() {
     const saved = localStorage.getItem(this.storageKey)
-    if (saved) {
-      this.html.setAttribute("data-color-scheme", saved)
-    }
+    return SETTINGS.includes(saved) ? saved : "auto"
   }
 
   toggle(event) {
     event.preventDefault()
-    const current = this.html.getAttribute("data-color-scheme") === "dark" ? "light" : "dark"
-    this.html.setAttribute("data-color-scheme", current)
-    localStorage.setItem(this.storageKey, current)
-    // Notify listeners (e.g., charts) that scheme changed
-    document.dispatchEvent(new CustomEvent('rails-pulse:color-scheme-changed', { detail: { scheme: current }}))
+    const next = SETTINGS[(SETTINGS.indexOf(this.setting) + 1) % SETTINGS.length]
+    localStorage.setItem(this.storageKey, next)
+    this.apply()
+  }
+
+  onSystemChange() {
+    if (this.setting === "auto") {
+      this.apply()
+    }
+  }
+
+  // Set the scheme for the current setting and notify listeners (e.g., charts) when it changed
+  apply() {
+    const setting = this.setting
+    const scheme = setting === "auto" ? (this.mediaQuery.matches ? "dark" : "light") : setting
+    const changed = this.html.getAttribute("data-color-scheme") !== scheme
+
+    this.html.setAttribute("data-color-scheme", scheme)
+    this.updateButton(setting, scheme)
+
+    if (changed) {
+      document.dispatchEvent(new CustomEvent('rails-pulse:color-scheme-changed', { detail: { scheme, setting }}))
+    }
+  }
+
+  // The icon shows the scheme in use; the label marks when it comes from the system setting
+  updateButton(setting, scheme) {
+    const next = SETTINGS[(SETTINGS.indexOf(setting) + 1) % SETTINGS.length]
+
+    if (this.hasButtonTarget) {
+      this.buttonTarget.setAttribute("aria-label", `Color scheme: ${SETTING_NAMES[setting]}. Switch to ${SETTING_NAMES[next]}`)
+      this.buttonTarget.setAttribute("title", `Color scheme: ${SETTING_NAMES[setting]}`)
+    }
+
+    if (this.hasIconTarget) {
+      this.iconTarget.querySelector("rails-pulse-icon")?.setAttribute("data-rails-pulse--icon-name-value", scheme === "dark" ? "moon" : "sun")
+    }
+
+    if (this.hasLabelTarget) {
+      this.labelTarget.hidden = setting !== "auto"
+    }
   }
 }
@@ -14,13 +14,11 @@ export default class extends Controller {
       // In recent_custom mode, "recent" shows no picker, "custom" shows picker
       if (selectElement.value === "custom") {
         this.showPicker()
-        this.initializeDatePicker()
       }
     } else {
       // In preset mode, "custom" shows picker
       if (selectElement.value === "custom") {
         this.showPicker()
-        this.initializeDatePicker()
       }
     }
   }
@@ -54,23 +52,15 @@ export default class extends Controller {
     this.pickerWrapperTarget.style.display = "flex"
   }
 
-  // Open the flatpickr calendar
+  // Open the calendar under the custom range input
   openDatePicker() {
     // Wait a bit for the DOM to update and flatpickr to initialize
     setTimeout(() => {
-      // Find the original hidden input that has the datepicker controller
-      const hiddenInput = this.pickerWrapperTarget.querySelector('input[name*="custom_date_range"]')
-      if (!hiddenInput) return
+      const timeExpressionController = this.timeExpressionController
+      if (!timeExpressionController) return
 
-      // Get the datepicker controller from the hidden input
-      const datepickerController = this.application.getControllerForElementAndIdentifier(
-        hiddenInput,
-        'rails-pulse--datepicker'
-      )
-
-      if (datepickerController && datepickerController.flatpickr) {
-        datepickerController.flatpickr.open()
-      }
+      timeExpressionController.inputTarget.focus()
+      timeExpressionController.open()
     }, 50)
   }
 
@@ -89,27 +79,15 @@ export default class extends Controller {
         selectElement.value = "last_day"
       }
     }
-  }
 
-  // Initialize flatpickr with existing date value
-  initializeDatePicker() {
-    const dateInput = this.pickerWrapperTarget.querySelector('input[type="text"]')
-    if (!dateInput || !dateInput.value) return
+    // A half-typed range would stay invalid while hidden and block the search
+    this.timeExpressionController?.clear()
+  }
 
-    // Get the datepicker controller
-    const datepickerController = this.application.getControllerForElementAndIdentifier(
-      dateInput,
-      'rails-pulse--datepicker'
+  get timeExpressionController() {
+    return this.application.getControllerForElementAndIdentifier(
+      this.pickerWrapperTarget,
+      'rails-pulse--time-expression'
     )
-
-    if (datepickerController && datepickerController.flatpickr) {
-      const value = dateInput.value
-      // Parse the "start to end" format
-      if (value.includes(' to ')) {
-        const [start, end] = value.split(' to ').map(d => d.trim())
-        // Set the dates in flatpickr
-        datepickerController.flatpickr.setDate([start, end], false)
-      }
-    }
   }
 }
@@ -1,35 +1,38 @@
 import { Controller } from "@hotwired/stimulus"
+import { parse as parseTimeExpression } from "../time_expressions"
+
+// Query params of a shared preset link, see presetUrl
+const PRESET_PARAMS = {
+  name: 'filter_preset',
+  dateRange: 'filter_preset_date_range',
+  threshold: 'filter_preset_threshold',
+  tags: 'filter_preset_tags'
+}
 
 export default class extends Controller {
-  static targets = ["wrapper", "dialog", "dateRange", "indicator", "form"]
+  static targets = [
+    "wrapper", "dialog", "dateRange", "indicator", "form", "threshold", "tag",
+    "presetList", "presetEmpty", "presetName", "presetMenu", "presetMenuWrapper", "presetLabel", "presetStatus"
+  ]
   static values = {
     active: { type: Boolean, default: false }
   }
 
   connect() {
+    this.storageKey = "global-filter-presets"
+
+    // The form starts out with the filters in the session, which tells the active preset
+    this.appliedFilters = this.currentFilters()
+
     this.updateIndicator()
+    this.renderPresets()
+    this.importSharedPreset()
   }
 
   // Open the global filters dialog
   open(event) {
-    event.preventDefault()
-
-    // If there's a value in the date range input, make sure flatpickr knows about it
-    if (this.dateRangeTarget.value) {
-      const datepickerController = this.application.getControllerForElementAndIdentifier(
-        this.dateRangeTarget,
-        'rails-pulse--datepicker'
-      )
-
-      if (datepickerController && datepickerController.flatpickr) {
-        const value = this.dateRangeTarget.value
-        // Parse the "start to end" format
-        if (value.includes(' to ')) {
-          const [start, end] = value.split(' to ').map(d => d.trim())
-          // Set the dates in flatpickr
-          datepickerController.flatpickr.setDate([start, end], false)
-        }
-      }
+    if (event) {
+      event.preventDefault()
     }
 
     this.wrapperTarget.style.display = 'flex'
@@ -61,16 +64,17 @@ export default class extends Controller {
       return
     }
 
-    const dateRangeValue = this.dateRangeTarget.value
+    // The date range input's controller resolves what was typed into "start to end"
     const form = event.target
+    const dateRangeValue = form.elements.date_range.value
+
+    // Remove any existing hidden inputs
+    form.querySelectorAll('input[name="start_time"], input[name="end_time"]').forEach(el => el.remove())
 
     // Parse date range if provided
     if (dateRangeValue && dateRangeValue.includes(' to ')) {
       const [startTime, endTime] = dateRangeValue.split(' to ').map(d => d.trim())
 
-      // Remove any existing hidden inputs
-      form.querySelectorAll('input[name="start_time"], input[name="end_time"]').forEach(el => el.remove())
-
       // Add new hidden inputs
       const startInput = document.createElement('input')
       startInput.type = 'hidden'
@@ -107,4 +111,252 @@ export default class extends Controller {
   activeValueChanged() {
     this.updateIndicator()
   }
+
+  // Presets are named snapshots of the dialog's fields, kept in localStorage
+  get presets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(presets) ? presets : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  set presets(presets) {
+    localStorage.setItem(this.storageKey, JSON.stringify(presets))
+    this.renderPresets()
+  }
+
+  currentFilters() {
+    return {
+      date_range: this.dateRangeTarget.value.trim(),
+      performance_threshold: this.hasThresholdTarget ? this.thresholdTarget.value : '',
+      enabled_tags: this.tagTargets.filter(tag => tag.checked).map(tag => tag.value)
+    }
+  }
+
+  sameFilters(a, b) {
+    return this.sameDateRange(a.date_range, b.date_range) &&
+      a.performance_threshold === b.performance_threshold &&
+      [...(a.enabled_tags || [])].sort().join() === [...(b.enabled_tags || [])].sort().join()
+  }
+
+  // The same range can be written with or without an offset or in another timezone,
+  // so ranges match when they resolve to the same times
+  sameDateRange(a, b) {
+    if ((a || '') === (b || '')) return true
+
+    const rangeA = parseTimeExpression(a)
+    const rangeB = parseTimeExpression(b)
+    return !rangeA.error && !rangeB.error &&
+      rangeA.start.getTime() === rangeB.start.getTime() &&
+      rangeA.end.getTime() === rangeB.end.getTime()
+  }
+
+  findPreset(name) {
+    return this.presets.find(preset => preset.name === name)
+  }
+
+  // Save the dialog's current fields under the typed name. A preset with the same name is
+  // only replaced if the user agrees.
+  savePreset(event) {
+    event.preventDefault()
+
+    const name = this.presetNameTarget.value.trim()
+    if (!name) {
+      this.presetNameTarget.focus()
+      return
+    }
+    if (this.findPreset(name) && !window.confirm(`Replace the existing "${name}" preset?`)) return
+
+    this.storePreset({ name, ...this.currentFilters() })
+    this.presetNameTarget.value = ''
+    this.showPresetStatus(`Saved "${name}"`)
+  }
+
+  storePreset(preset) {
+    const presets = this.presets.filter(existing => existing.name !== preset.name)
+    this.presets = [...presets, preset]
+  }
+
+  applyPreset(event) {
+    event.preventDefault()
+
+    const preset = this.findPreset(event.currentTarget.dataset.presetName)
+    if (preset) {
+      this.submitPreset(preset)
+    }
+  }
+
+  // Fill the form with the preset and submit it like Apply Filters does. Relative date
+  // ranges like "last 3h" are resolved again each time the preset is applied.
+  submitPreset(preset) {
+    this.dateRangeTarget.value = preset.date_range || ''
+    this.dateRangeTarget.dispatchEvent(new Event('input'))
+    if (this.hasThresholdTarget) {
+      this.thresholdTarget.value = preset.performance_threshold || ''
+    }
+    this.tagTargets.forEach(tag => {
+      tag.checked = (preset.enabled_tags || []).includes(tag.value)
+    })
+
+    // e.g. "since deploy" on a page without deploys, show why in the dialog
+    if (!this.formTarget.checkValidity()) {
+      this.open()
+      this.formTarget.reportValidity()
+      return
+    }
+
+    this.formTarget.requestSubmit()
+  }
+
+  renamePreset(event) {
+    event.preventDefault()
+
+    const oldName = event.currentTarget.dataset.presetName
+    const name = window.prompt('Rename preset', oldName)?.trim()
+    if (!name || name === oldName) return
+    if (this.findPreset(name) && !window.confirm(`Replace the existing "${name}" preset?`)) return
+
+    this.presets = this.presets
+      .filter(preset => preset.name !== name)
+      .map(preset => preset.name === oldName ? { ...preset, name } : preset)
+  }
+
+  deletePreset(event) {
+    event.preventDefault()
+
+    const name = event.currentTarget.dataset.presetName
+    if (!window.confirm(`Delete the "${name}" preset?`)) return
+
+    this.presets = this.presets.filter(preset => preset.name !== name)
+  }
+
+  // Copy a link that saves and applies the preset for whoever opens it
+  sharePreset(event) {
+    event.preventDefault()
+
+    const preset = this.findPreset(event.currentTarget.dataset.presetName)
+    if (!preset) return
+
+    const url = this.presetUrl(preset)
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url)
+        .then(() => this.showPresetStatus(`Copied a link to "${preset.name}"`))
+        .catch(() => window.prompt('Copy the preset link', url))
+    } else {
+      window.prompt('Copy the preset link', url)
+    }
+  }
+
+  presetUrl(preset) {
+    const url = new URL(window.location.pathname, window.location.origin)
+
+    url.searchParams.set(PRESET_PARAMS.name, preset.name)
+    if (preset.date_range) {
+      url.searchParams.set(PRESET_PARAMS.dateRange, preset.date_range)
+    }
+    if (preset.performance_threshold) {
+      url.searchParams.set(PRESET_PARAMS.threshold, preset.performance_threshold)
+    }
+    for (const tag of preset.enabled_tags || []) {
+      url.searchParams.append(PRESET_PARAMS.tags, tag)
+    }
+
+    return url.toString()
+  }
+
+  // Opening a shared link saves its preset and applies it. The params are dropped from
+  // the URL first, so the redirect back after applying doesn't apply it again. A local
+  // preset with the same name and other filters is only replaced if the user agrees,
+  // otherwise the shared filters are applied without saving them.
+  importSharedPreset() {
+    const url = new URL(window.location.href)
+    const name = url.searchParams.get(PRESET_PARAMS.name)
+    if (!name) return
+
+    const preset = {
+      name,
+      date_range: url.searchParams.get(PRESET_PARAMS.dateRange) || '',
+      performance_threshold: url.searchParams.get(PRESET_PARAMS.threshold) || '',
+      enabled_tags: url.searchParams.getAll(PRESET_PARAMS.tags)
+    }
+
+    Object.values(PRESET_PARAMS).forEach(param => url.searchParams.delete(param))
+    window.history.replaceState(window.history.state, '', url)
+
+    const existing = this.findPreset(name)
+    if (!existing || this.sameFilters(existing, preset) ||
+        window.confirm(`Replace your "${name}" preset with the shared one?`)) {
+      this.storePreset(preset)
+    }
+    // Wait for the date range input's controller to connect
+    setTimeout(() => this.submitPreset(preset))
+  }
+
+  // List the presets at the top of the dialog and in the header menu, marking the
+  // one matching the filters in use
+  renderPresets() {
+    const presets = this.presets
+    const active = presets.find(preset => this.sameFilters(preset, this.appliedFilters))
+
+    if (this.hasPresetListTarget) {
+      this.presetListTarget.replaceChildren(...presets.map(preset => this.presetRow(preset, preset === active)))
+    }
+
+    if (this.hasPresetEmptyTarget) {
+      this.presetEmptyTarget.hidden = presets.length > 0
+    }
+
+    if (this.hasPresetMenuTarget) {
+      this.presetMenuTarget.replaceChildren(...presets.map(preset => {
+        const button = this.presetButton('applyPreset', preset.name, preset.name)
+        button.classList.add('justify-start')
+        if (preset === active) button.setAttribute('aria-current', 'true')
+        return button
+      }))
+    }
+
+    if (this.hasPresetMenuWrapperTarget) {
+      this.presetMenuWrapperTarget.hidden = presets.length === 0
+    }
+
+    if (this.hasPresetLabelTarget) {
+      this.presetLabelTarget.textContent = active ? active.name : ''
+      this.presetLabelTarget.hidden = !active
+    }
+  }
+
+  presetRow(preset, active) {
+    const row = document.createElement('div')
+    row.className = 'flex items-center gap-half'
+
+    const apply = this.presetButton('applyPreset', preset.name, preset.name)
+    apply.classList.add('grow', 'justify-start')
+    if (active) apply.setAttribute('aria-current', 'true')
+
+    row.append(
+      apply,
+      this.presetButton('renamePreset', preset.name, 'Rename'),
+      this.presetButton('sharePreset', preset.name, 'Copy link'),
+      this.presetButton('deletePreset', preset.name, 'Delete')
+    )
+    return row
+  }
+
+  presetButton(action, name, text) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'btn btn--borderless text-sm'
+    button.textContent = text
+    button.setAttribute('data-action', `rails-pulse--global-filters#${action}`)
+    button.dataset.presetName = name
+    return button
+  }
+
+  showPresetStatus(text) {
+    if (this.hasPresetStatusTarget) {
+      this.presetStatusTarget.textContent = text
+    }
+  }
 }
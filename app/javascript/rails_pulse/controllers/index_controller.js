@@ -4,7 +4,8 @@ export default class extends Controller {
   static targets = ["chart", "paginationLimit", "indexTable"]
 
   static values = {
-    chartId: String        // The ID of the chart to be monitored
+    chartId: String,       // The ID of the chart to be monitored
+    heatmapId: String      // The ID of an optional latency heatmap whose cells filter the table
   }
 
   // Add properties for improved debouncing
@@ -12,7 +13,15 @@ export default class extends Controller {
   pendingRequestTimeout = null;
   pendingRequestData = null;
   selectedColumnIndex = null;
+  selectedRange = null;
   originalSeriesOption = null;
+  tableRequestController = null;
+  lastTableRequestUrl = null;
+  zoomHistoryTimeout = null;
+  restoringHistory = false;
+  chartController = null;
+  heatmap = null;
+  heatmapController = null;
 
   connect() {
     // Listen for the custom event 'stimulus:echarts:rendered' to set up the chart.
@@ -20,34 +29,96 @@ export default class extends Controller {
     this.handleChartInitialized = this.onChartInitialized.bind(this);
 
     document.addEventListener('stimulus:echarts:rendered', this.handleChartInitialized);
+
+    // Auto-refresh replaces the chart option through the chart's update action
+    this.handleChartUpdated = this.onChartUpdated.bind(this);
+    document.addEventListener('stimulus:echarts:updated', this.handleChartUpdated);
+
+    // Turbo gives every page visit its own restoration identifier and our history
+    // entries keep it, so it tells Back/Forward steps within this page apart from
+    // steps to another page
+    this.restorationIdentifier = window.history.state?.turbo?.restorationIdentifier;
+
+    // Listen in the capture phase so this runs before Turbo's own popstate listener
+    this.handlePopState = this.onPopState.bind(this);
+    window.addEventListener('popstate', this.handlePopState, true);
   }
 
   disconnect() {
     // Remove the event listener when the controller is disconnected
     document.removeEventListener('stimulus:echarts:rendered', this.handleChartInitialized);
+    document.removeEventListener('stimulus:echarts:updated', this.handleChartUpdated);
+    window.removeEventListener('popstate', this.handlePopState, true);
 
-    // Remove chart event listeners if they exist
-    if (this.hasChartTarget && this.chartTarget) {
-      this.chartTarget.removeEventListener('mousedown', this.handleChartMouseDown);
-      this.chartTarget.removeEventListener('mouseup', this.handleChartMouseUp);
-    }
-    document.removeEventListener('mouseup', this.handleDocumentMouseUp);
+    this.removeChartEventListeners();
 
     // Clear any pending timeout
     if (this.pendingRequestTimeout) {
       clearTimeout(this.pendingRequestTimeout);
     }
+    if (this.zoomHistoryTimeout) {
+      clearTimeout(this.zoomHistoryTimeout);
+    }
+
+    // Abort any in-flight table request
+    if (this.tableRequestController) {
+      this.tableRequestController.abort();
+    }
   }
 
   // After the chart is initialized, set up the event listeners and data tracking
   onChartInitialized(event) {
+    if (this.hasHeatmapIdValue && event.detail.containerId === this.heatmapIdValue) {
+      this.setupHeatmap(event.detail.chart, event.detail.controller);
+      return;
+    }
+
     if (event.detail.containerId === this.chartIdValue) {
+      // The chart was re-rendered (e.g. for a new color scheme theme), so the new
+      // instance needs its listeners, brush and selection highlight set up again
+      if (this.chart && this.chart !== event.detail.chart) {
+        this.removeChartEventListeners();
+        this.selectedColumnIndex = null;
+        this.selectedRange = null;
+        this.setupDone = false;
+      }
+
       // Store the chart instance from the event
       this.chart = event.detail.chart;
+      this.chartController = event.detail.controller;
       this.setup();
     }
   }
 
+  // The new option has no brush or selection highlight and may have shifted the
+  // columns, so set them up again and restore the selection from the URL
+  onChartUpdated(event) {
+    if (this.hasHeatmapIdValue && event.detail.containerId === this.heatmapIdValue) {
+      this.selectHeatmapCellFromUrl();
+      return;
+    }
+
+    if (event.detail.containerId !== this.chartIdValue || !this.setupDone) {
+      return;
+    }
+
+    this.selectedColumnIndex = null;
+    this.selectedRange = null;
+    this.storeOriginalSeriesOption();
+    this.applyBrushOption();
+    this.visibleData = this.getVisibleData();
+    this.initializeColumnSelectionFromUrl();
+  }
+
+  // Remove chart event listeners if they exist
+  removeChartEventListeners() {
+    if (this.hasChartTarget && this.chartTarget) {
+      this.chartTarget.removeEventListener('mousedown', this.handleChartMouseDown);
+      this.chartTarget.removeEventListener('mouseup', this.handleChartMouseUp);
+    }
+    document.removeEventListener('mouseup', this.handleDocumentMouseUp);
+  }
+
   setup() {
     if (this.setupDone) {
       return; // Prevent multiple setups
@@ -73,6 +144,7 @@ export default class extends Controller {
     this.storeOriginalSeriesOption();
 
     this.setupChartEventListeners();
+    this.setupBrush();
     this.setupDone = true;
 
     // Mark the chart as fully rendered for testing
@@ -116,6 +188,45 @@ export default class extends Controller {
     });
   }
 
+  // Enable range selection: dragging across bars brushes a contiguous range of columns.
+  // Dragging no longer pans the chart; the slider and mouse wheel still zoom.
+  setupBrush() {
+    this.applyBrushOption();
+
+    this.chart.on('brushEnd', (params) => {
+      this.handleBrushEnd(params);
+    });
+  }
+
+  applyBrushOption() {
+    const dataZoom = this.chart.getOption().dataZoom || [];
+
+    this.chart.setOption({
+      brush: {
+        xAxisIndex: 0,
+        brushType: 'lineX',
+        brushMode: 'single',
+        transformable: false,
+        throttleType: 'debounce',
+        throttleDelay: 100,
+        brushStyle: {
+          borderWidth: 1,
+          color: 'rgba(255, 201, 31, 0.15)',
+          borderColor: 'rgba(255, 201, 31, 0.8)'
+        },
+        // Selected columns are highlighted by highlightRange instead
+        outOfBrush: { colorAlpha: 1 }
+      },
+      dataZoom: dataZoom.map(zoom => zoom.type === 'inside' ? { moveOnMouseMove: false } : {})
+    });
+
+    this.chart.dispatchAction({
+      type: 'takeGlobalCursor',
+      key: 'brush',
+      brushOption: { brushType: 'lineX', brushMode: 'single' }
+    });
+  }
+
   // This returns the visible data from the chart based on the current zoom level.
   // The xAxis data and series data are sliced based on the start and end values of the dataZoom component.
   // The series data will contain the actual data points that are visible in the chart.
@@ -158,6 +269,13 @@ export default class extends Controller {
   // we can update the table with the new data that is visible in the chart.
   handleZoomChange() {
     const newVisibleData = this.getVisibleData();
+
+    // Zoom applied while restoring a history entry, the URL and table are handled there
+    if (this.restoringHistory) {
+      this.visibleData = newVisibleData;
+      return;
+    }
+
     const newDataString = newVisibleData.xAxis.join();
     const currentDataString = this.visibleData.xAxis.join();
 
@@ -168,20 +286,42 @@ export default class extends Controller {
     }
   }
 
-  // Update the browser URL with zoom parameters so they persist on page refresh
+  // Update the browser URL with zoom parameters so they persist on page refresh.
+  // A zoom gesture fires many datazoom events, so changes less than a second apart
+  // update the same history entry and Back undoes the whole gesture.
   updateUrlWithZoomParams(data) {
     const url = new URL(window.location.href);
     const currentParams = new URLSearchParams(url.search);
 
-    const startTimestamp = data.xAxis[0];
-    const endTimestamp = data.xAxis[data.xAxis.length - 1];
-
     // Update zoom parameters in URL while preserving all other parameters including sort
-    currentParams.set('zoom_start_time', startTimestamp);
-    currentParams.set('zoom_end_time', endTimestamp);
+    this.setZoomParams(currentParams, data);
 
     url.search = currentParams.toString();
-    window.history.replaceState({}, '', url);
+
+    if (this.zoomHistoryTimeout) {
+      clearTimeout(this.zoomHistoryTimeout);
+      this.replaceHistoryState(url);
+    } else {
+      this.pushHistoryState(url);
+    }
+
+    this.zoomHistoryTimeout = setTimeout(() => {
+      this.zoomHistoryTimeout = null;
+    }, 1000);
+  }
+
+  // Set the zoom params to the visible window, or remove them when the whole range is
+  // visible so a reset zoom leaves the same URL as an unzoomed page
+  setZoomParams(params, data) {
+    const xAxisData = this.chart.getOption().xAxis[0].data;
+
+    if (data.xAxis.length >= xAxisData.length) {
+      params.delete('zoom_start_time');
+      params.delete('zoom_end_time');
+    } else {
+      params.set('zoom_start_time', data.xAxis[0]);
+      params.set('zoom_end_time', data.xAxis[data.xAxis.length - 1]);
+    }
   }
 
   updatePaginationLimit() {
@@ -194,9 +334,176 @@ export default class extends Controller {
       const limit = this.paginationLimitTarget.value;
       currentParams.set('limit', limit);
       url.search = currentParams.toString();
-      window.history.replaceState({}, '', url);
+      this.replaceHistoryState(url);
+    }
+
+  // Toggle the previous-period overlay. The comparison data is computed server side,
+  // so reload the page with the compare param; zoom and column selection params are
+  // already in the URL and are restored on load.
+  toggleComparison(event) {
+    const url = new URL(window.location.href);
+
+    if (event.target.checked) {
+      url.searchParams.set('compare', 'previous');
+    } else {
+      url.searchParams.delete('compare');
+    }
+
+    if (typeof Turbo !== 'undefined') {
+      Turbo.visit(url.toString(), { action: 'replace' });
+    } else {
+      window.location.href = url.toString();
+    }
+  }
+
+  // Add a history entry for url so Back steps through zoom and selection changes.
+  // The entry keeps Turbo's restoration data, so Turbo still restores the page when
+  // the user returns to it from another page.
+  pushHistoryState(url) {
+    if (this.zoomHistoryTimeout) {
+      clearTimeout(this.zoomHistoryTimeout);
+      this.zoomHistoryTimeout = null;
+    }
+
+    window.history.pushState(window.history.state, '', url);
+
+    // Turbo caches its snapshot under the URL it last rendered, which no longer matches
+    // the entries we push, so have restoration visits fetch the page instead
+    if (typeof Turbo !== 'undefined' && Turbo.cache) {
+      Turbo.cache.exemptPageFromCache();
+    }
+  }
+
+  replaceHistoryState(url) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  // Back/Forward between entries of this page is handled here instead of letting Turbo
+  // turn it into a restoration visit; entries of other pages are left to Turbo
+  onPopState(event) {
+    if (!this.setupDone || event.state?.turbo?.restorationIdentifier !== this.restorationIdentifier) {
+      return;
     }
 
+    event.stopImmediatePropagation();
+    this.restoreFromHistory();
+  }
+
+  // Re-apply the zoom window, column or range selection and table for the current URL
+  restoreFromHistory() {
+    if (this.zoomHistoryTimeout) {
+      clearTimeout(this.zoomHistoryTimeout);
+      this.zoomHistoryTimeout = null;
+    }
+
+    this.applyZoomFromUrl();
+    this.clearSelection();
+    this.initializeColumnSelectionFromUrl();
+    this.selectHeatmapCellFromUrl();
+    this.executeTurboFrameRequestForColumn(new URL(window.location.href));
+  }
+
+  // Zoom to the zoom_start_time/zoom_end_time window, or the full range without one
+  applyZoomFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const zoomStartTime = urlParams.get('zoom_start_time');
+    const zoomEndTime = urlParams.get('zoom_end_time');
+    let action = { type: 'dataZoom', start: 0, end: 100 };
+
+    if (zoomStartTime && zoomEndTime) {
+      const startIndex = this.findColumnIndex(zoomStartTime);
+      const endIndex = this.findColumnIndex(zoomEndTime);
+
+      if (startIndex !== -1 && endIndex !== -1) {
+        action = { type: 'dataZoom', startValue: startIndex, endValue: endIndex };
+      }
+    }
+
+    this.restoringHistory = true;
+    try {
+      this.chart.dispatchAction(action);
+    } finally {
+      this.restoringHistory = false;
+    }
+  }
+
+  // Zoom to the last `seconds` of the loaded range. Columns are time buckets, so the
+  // window covers every bucket that overlaps that period and at least the last one.
+  zoomToPreset(event) {
+    if (!this.setupDone) return;
+
+    const seconds = Number(event.params.seconds);
+    const timestamps = this.chart.getOption().xAxis[0].data.map(value => parseInt(value));
+    const lastIndex = timestamps.length - 1;
+    if (lastIndex < 0) return;
+
+    const bucketSize = lastIndex > 0 ? timestamps[lastIndex] - timestamps[lastIndex - 1] : 0;
+    const cutoff = timestamps[lastIndex] + bucketSize - seconds;
+    const startIndex = timestamps.findIndex(timestamp => timestamp + bucketSize > cutoff);
+
+    this.zoomTo(startIndex, lastIndex);
+  }
+
+  resetZoom() {
+    if (!this.setupDone) return;
+
+    this.chart.dispatchAction({ type: 'dataZoom', start: 0, end: 100 });
+  }
+
+  // Keyboard shortcuts: + zooms in, - zooms out and 0 resets the zoom. Keys typed into
+  // form fields are left alone.
+  zoomWithKeyboard(event) {
+    if (!this.setupDone || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, select, textarea, [contenteditable]')) return;
+
+    switch (event.key) {
+      case '+':
+      case '=':
+        this.zoomBy(0.5);
+        break;
+      case '-':
+      case '_':
+        this.zoomBy(2);
+        break;
+      case '0':
+        this.resetZoom();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  // Scale the zoom window around its center, keeping it inside the loaded range
+  zoomBy(factor) {
+    const lastIndex = this.chart.getOption().xAxis[0].data.length - 1;
+    const { startIndex, endIndex } = this.currentZoomWindow();
+    const span = endIndex - startIndex + 1;
+    const newSpan = Math.min(lastIndex + 1, Math.max(1, Math.round(span * factor)));
+
+    const center = (startIndex + endIndex) / 2;
+    const newStart = Math.max(0, Math.min(Math.round(center - (newSpan - 1) / 2), lastIndex + 1 - newSpan));
+
+    this.zoomTo(newStart, newStart + newSpan - 1);
+  }
+
+  // The datazoom event this fires updates the URL and table like a mouse zoom would
+  zoomTo(startIndex, endIndex) {
+    this.chart.dispatchAction({ type: 'dataZoom', startValue: startIndex, endValue: endIndex });
+  }
+
+  currentZoomWindow() {
+    const option = this.chart.getOption();
+    const dataZoom = (option.dataZoom && option.dataZoom[0]) || {};
+    const lastIndex = option.xAxis[0].data.length - 1;
+
+    return {
+      startIndex: dataZoom.startValue ?? 0,
+      endIndex: dataZoom.endValue ?? lastIndex
+    };
+  }
+
   // Improved debouncing with guaranteed final request
   sendTurboFrameRequest(data) {
     const now = Date.now();
@@ -233,12 +540,8 @@ export default class extends Controller {
     // Preserve existing URL parameters (including sort parameters like q[s])
     const currentParams = new URLSearchParams(url.search);
 
-    const startTimestamp = data.xAxis[0];
-    const endTimestamp = data.xAxis[data.xAxis.length - 1];
-
     // Add or update the zoom occurred_at parameters for table filtering
-    currentParams.set('zoom_start_time', startTimestamp);
-    currentParams.set('zoom_end_time', endTimestamp);
+    this.setZoomParams(currentParams, data);
 
     // Set the limit param based on the value in the pagination selector
     if (this.hasPaginationLimitTarget) {
@@ -248,37 +551,116 @@ export default class extends Controller {
     // Update the URL's search parameters
     url.search = currentParams.toString();
 
+    this.fetchIndexTable(url);
+  }
+
+  // Fetch the index table for the given URL and swap it into the indexTable frame.
+  // Only the latest request wins: starting a new one aborts the one in flight, so a
+  // slow response for an older zoom window or column can't overwrite a newer one.
+  fetchIndexTable(url) {
+    if (this.tableRequestController) {
+      this.tableRequestController.abort();
+    }
+
+    const requestController = new AbortController();
+    this.tableRequestController = requestController;
+    this.lastTableRequestUrl = url;
+
+    const frame = this.indexTableTarget;
+    this.hideTableError();
+    this.setTableLoading(frame, true);
+
     fetch(url, {
       method: 'GET',
+      signal: requestController.signal,
       headers: {
         'Accept': 'text/vnd.turbo-stream.html, text/html',
-        'Turbo-Frame': this.indexTableTarget.id,
+        'Turbo-Frame': frame.id,
         'X-Requested-With': 'XMLHttpRequest'
       }
     })
     .then(response => {
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
       return response.text();
     })
     .then(html => {
-      // Find the turbo-frame in the document using the target
-      const frame = this.indexTableTarget;
-      if (frame) {
-        // Parse the response HTML
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Find the turbo-frame in the response using the frame's ID
-        const responseFrame = doc.querySelector(`turbo-frame#${frame.id}`);
-        if (responseFrame) {
-          // CSP-safe content replacement using DOM methods
-          this.replaceFrameContent(frame, responseFrame);
-        } else {
-          // Fallback: parse the entire HTML response
-          this.replaceFrameContentFromHTML(frame, html);
-        }
+      // Parse the response HTML
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+
+      // Find the turbo-frame in the response using the frame's ID
+      const responseFrame = doc.querySelector(`turbo-frame#${frame.id}`);
+      if (responseFrame) {
+        // CSP-safe content replacement using DOM methods
+        this.replaceFrameContent(frame, responseFrame);
+      } else {
+        // Fallback: parse the entire HTML response
+        this.replaceFrameContentFromHTML(frame, html);
       }
     })
-    .catch(error => console.error('[IndexController] Fetch error:', error));
+    .catch(error => {
+      // A newer request replaced this one
+      if (error.name === 'AbortError') {
+        return;
+      }
+
+      console.error('[IndexController] Fetch error:', error);
+      this.showTableError();
+    })
+    .finally(() => {
+      if (this.tableRequestController === requestController) {
+        this.tableRequestController = null;
+        this.setTableLoading(frame, false);
+      }
+    });
+  }
+
+  // Mirror the attributes Turbo sets on frames during its own navigation
+  setTableLoading(frame, loading) {
+    if (loading) {
+      frame.setAttribute('busy', '');
+      frame.setAttribute('aria-busy', 'true');
+    } else {
+      frame.removeAttribute('busy');
+      frame.removeAttribute('aria-busy');
+    }
+  }
+
+  // Show an error banner with a retry button above the table, keeping the current rows
+  showTableError() {
+    if (!this.tableErrorElement) {
+      const banner = document.createElement('div');
+      banner.className = 'alert alert--negative flex items-center justify-between gap mb-4';
+      banner.setAttribute('role', 'alert');
+
+      const message = document.createElement('span');
+      message.textContent = 'The table could not be updated for this selection.';
+
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'btn';
+      retryButton.textContent = 'Retry';
+      retryButton.setAttribute('data-action', 'rails-pulse--index#retryTableRequest');
+
+      banner.append(message, retryButton);
+      this.tableErrorElement = banner;
+    }
+
+    this.indexTableTarget.before(this.tableErrorElement);
+  }
+
+  hideTableError() {
+    if (this.tableErrorElement) {
+      this.tableErrorElement.remove();
+    }
+  }
+
+  retryTableRequest() {
+    if (this.lastTableRequestUrl) {
+      this.fetchIndexTable(this.lastTableRequestUrl);
+    }
   }
 
   // CSP-safe method to replace frame content using DOM methods
@@ -328,6 +710,11 @@ export default class extends Controller {
   }
 
   handleColumnClick(params) {
+    // Ignore clicks on annotations and other non-series components
+    if (params.componentType !== 'series') {
+      return;
+    }
+
     const clickedIndex = params.dataIndex;
 
     // If clicking the same column that's already selected, deselect all
@@ -337,13 +724,68 @@ export default class extends Controller {
       this.sendColumnDeselectionRequest();
     } else {
       // Select the clicked column and gray out others
+      this.clearBrush();
       this.highlightColumn(clickedIndex);
       this.selectedColumnIndex = clickedIndex;
       this.sendColumnSelectionRequest(clickedIndex);
     }
   }
 
+  // A brushed range replaces any column selection; clearing the brush restores
+  // the default/zoom view of the table
+  handleBrushEnd(params) {
+    const area = params.areas && params.areas[0];
+
+    if (!area || !area.coordRange) {
+      if (this.selectedRange) {
+        this.selectedRange = null;
+        this.resetColumnColors();
+        this.sendRangeDeselectionRequest();
+      }
+      return;
+    }
+
+    const lastIndex = this.chart.getOption().xAxis[0].data.length - 1;
+    const [from, to] = area.coordRange.map(index => Math.round(index));
+    const startIndex = Math.max(0, Math.min(from, to));
+    const endIndex = Math.min(lastIndex, Math.max(from, to));
+
+    this.selectedColumnIndex = null;
+    this.selectedRange = { startIndex, endIndex };
+    this.highlightRange(startIndex, endIndex);
+    this.sendRangeSelectionRequest(startIndex, endIndex);
+  }
+
+  clearBrush() {
+    if (!this.selectedRange) {
+      return;
+    }
+
+    this.selectedRange = null;
+    this.chart.dispatchAction({ type: 'brush', areas: [] });
+  }
+
+  // Draw the brush area for a range restored from the URL
+  drawBrush(startIndex, endIndex) {
+    this.chart.dispatchAction({
+      type: 'brush',
+      areas: [{ brushType: 'lineX', xAxisIndex: 0, coordRange: [startIndex, endIndex] }]
+    });
+  }
+
+  // Drop any column or range selection without touching the URL or table
+  clearSelection() {
+    this.clearBrush();
+    this.selectedColumnIndex = null;
+    this.resetColumnColors();
+  }
+
   highlightColumn(selectedIndex) {
+    this.highlightRange(selectedIndex, selectedIndex);
+  }
+
+  // Keep columns between startIndex and endIndex in the theme color and gray out the rest
+  highlightRange(startIndex, endIndex) {
     try {
       const option = this.chart.getOption();
       if (!option.series || !option.series[0] || !option.series[0].data) {
@@ -352,24 +794,26 @@ export default class extends Controller {
 
       const seriesData = option.series[0].data;
 
-      // Instead of changing data structure, modify the series itemStyle
-      const currentOption = this.chart.getOption();
-
       // Get the default color from the chart theme
-      const defaultColor = currentOption.color?.[0] || '#5470c6'; // ECharts default blue
+      const defaultColor = option.color?.[0] || '#5470c6'; // ECharts default blue
 
+      // Instead of changing data structure, modify the series itemStyle
       this.chart.setOption({
         series: [{
           data: seriesData, // Keep original data format for tooltips
           itemStyle: {
             color: (params) => {
-              return params.dataIndex === selectedIndex ? defaultColor : '#cccccc';
+              if (params.dataIndex < startIndex || params.dataIndex > endIndex) {
+                return '#cccccc';
+              }
+              // Selected bars keep their threshold color
+              return this.chartController?.thresholdColor(params.value) || defaultColor;
             }
           }
         }]
       });
     } catch (error) {
-      console.error('Error highlighting column:', error);
+      console.error('Error highlighting columns:', error);
     }
   }
 
@@ -415,6 +859,11 @@ export default class extends Controller {
       }
       restoredOption.itemStyle.color = '#ffc91f'; // Default yellow from railspulse theme
 
+      // Bars reaching a threshold are colored by it
+      if (this.chartController?.thresholds().length) {
+        restoredOption.itemStyle.color = (params) => this.chartController.thresholdColor(params.value) || '#ffc91f';
+      }
+
       this.chart.setOption({
         series: [restoredOption]
       }, false); // Use replace mode to ensure clean state
@@ -440,6 +889,9 @@ export default class extends Controller {
 
     // Keep all existing parameters (including sort like q[s]) and add column selection parameter
     currentParams.set('selected_column_time', selectedTimestamp);
+    currentParams.delete('selected_start_time');
+    currentParams.delete('selected_end_time');
+    this.clearDurationBucket(currentParams);
 
     // Preserve pagination limit
     if (this.hasPaginationLimitTarget) {
@@ -448,8 +900,8 @@ export default class extends Controller {
 
     url.search = currentParams.toString();
 
-    // Update browser URL to persist column selection
-    window.history.replaceState({}, '', url);
+    // Add a history entry so Back returns to the previous selection
+    this.pushHistoryState(url);
 
     // Send the turbo frame request
     this.executeTurboFrameRequestForColumn(url);
@@ -462,6 +914,7 @@ export default class extends Controller {
 
     // Remove only the column selection parameter, keep all others (including sort like q[s])
     currentParams.delete('selected_column_time');
+    this.clearDurationBucket(currentParams);
 
     // Preserve pagination limit
     if (this.hasPaginationLimitTarget) {
@@ -470,69 +923,199 @@ export default class extends Controller {
 
     url.search = currentParams.toString();
 
-    // Update browser URL to remove column selection
-    window.history.replaceState({}, '', url);
+    // Add a history entry so Back restores the column selection
+    this.pushHistoryState(url);
 
     // Send the turbo frame request to restore default/zoom view
     this.executeTurboFrameRequestForColumn(url);
   }
 
-  executeTurboFrameRequestForColumn(url) {
-    fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'text/vnd.turbo-stream.html, text/html',
-        'Turbo-Frame': this.indexTableTarget.id,
-        'X-Requested-With': 'XMLHttpRequest'
+  sendRangeSelectionRequest(startIndex, endIndex) {
+    const xAxisData = this.chart.getOption().xAxis[0].data;
+    const startTimestamp = xAxisData[startIndex];
+    const endTimestamp = xAxisData[endIndex];
+
+    if (!startTimestamp || !endTimestamp) {
+      console.error('Could not find timestamps for range:', startIndex, endIndex);
+      return;
+    }
+
+    // Build the request URL with range selection parameters, preserving all existing params including sort
+    const url = new URL(window.location.href);
+    const currentParams = new URLSearchParams(url.search);
+
+    // A range replaces any single column selection
+    currentParams.delete('selected_column_time');
+    currentParams.set('selected_start_time', startTimestamp);
+    currentParams.set('selected_end_time', endTimestamp);
+    this.clearDurationBucket(currentParams);
+
+    // Preserve pagination limit
+    if (this.hasPaginationLimitTarget) {
+      currentParams.set('limit', this.paginationLimitTarget.value);
+    }
+
+    url.search = currentParams.toString();
+
+    // Add a history entry so Back returns to the previous selection
+    this.pushHistoryState(url);
+
+    this.executeTurboFrameRequestForColumn(url);
+  }
+
+  sendRangeDeselectionRequest() {
+    const url = new URL(window.location.href);
+    const currentParams = new URLSearchParams(url.search);
+
+    currentParams.delete('selected_start_time');
+    currentParams.delete('selected_end_time');
+    this.clearDurationBucket(currentParams);
+
+    // Preserve pagination limit
+    if (this.hasPaginationLimitTarget) {
+      currentParams.set('limit', this.paginationLimitTarget.value);
+    }
+
+    url.search = currentParams.toString();
+
+    // Add a history entry so Back restores the range selection
+    this.pushHistoryState(url);
+
+    // Send the turbo frame request to restore default/zoom view
+    this.executeTurboFrameRequestForColumn(url);
+  }
+
+  // The heatmap shares the table drill-down with the main chart: clicking a cell
+  // selects its period (highlighted on the main chart as well) and duration bucket
+  setupHeatmap(chart, controller) {
+    this.heatmap = chart;
+    this.heatmapController = controller;
+
+    this.heatmap.on('click', (params) => {
+      this.handleHeatmapClick(params);
+    });
+
+    this.selectHeatmapCellFromUrl();
+  }
+
+  handleHeatmapClick(params) {
+    if (params.componentType !== 'series') {
+      return;
+    }
+
+    const [timeIndex, bucketIndex] = params.value;
+    const timestamp = String(this.heatmap.getOption().xAxis[0].data[timeIndex]);
+    const bucket = this.heatmapController.dataValue.buckets[bucketIndex];
+
+    const url = new URL(window.location.href);
+    const currentParams = new URLSearchParams(url.search);
+    const alreadySelected = currentParams.get('selected_column_time') === timestamp &&
+      currentParams.get('selected_duration_min') === String(bucket.min);
+
+    currentParams.delete('selected_start_time');
+    currentParams.delete('selected_end_time');
+    currentParams.delete('selected_duration_min');
+    currentParams.delete('selected_duration_max');
+
+    if (this.chart) {
+      this.clearSelection();
+    }
+
+    if (alreadySelected) {
+      // Clicking the selected cell again deselects it (ECharts already unselected it)
+      currentParams.delete('selected_column_time');
+    } else {
+      currentParams.set('selected_column_time', timestamp);
+      currentParams.set('selected_duration_min', bucket.min);
+      if (bucket.max !== null && bucket.max !== undefined) {
+        currentParams.set('selected_duration_max', bucket.max);
       }
-    })
-    .then(response => {
-      return response.text();
-    })
-    .then(html => {
-      // Find the turbo-frame in the document using the target
-      const frame = this.indexTableTarget;
-      if (frame) {
-        // Parse the response HTML
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Find the turbo-frame in the response using the frame's ID
-        const responseFrame = doc.querySelector(`turbo-frame#${frame.id}`);
-        if (responseFrame) {
-          // CSP-safe content replacement using DOM methods
-          this.replaceFrameContent(frame, responseFrame);
-        } else {
-          // Fallback: parse the entire HTML response
-          this.replaceFrameContentFromHTML(frame, html);
-        }
+
+      const columnIndex = this.chart ? this.findColumnIndex(timestamp) : -1;
+      if (columnIndex !== -1) {
+        this.selectedColumnIndex = columnIndex;
+        this.highlightColumn(columnIndex);
       }
-    })
-    .catch(error => console.error('[IndexController] Column selection fetch error:', error));
+    }
+
+    // Preserve pagination limit
+    if (this.hasPaginationLimitTarget) {
+      currentParams.set('limit', this.paginationLimitTarget.value);
+    }
+
+    url.search = currentParams.toString();
+
+    // Add a history entry so Back returns to the previous selection
+    this.pushHistoryState(url);
+
+    this.executeTurboFrameRequestForColumn(url);
   }
 
-  initializeColumnSelectionFromUrl() {
-    // Check if there's a selected_column_time parameter in the URL
+  // Drop the heatmap duration bucket from the params and unselect its cell
+  clearDurationBucket(currentParams) {
+    currentParams.delete('selected_duration_min');
+    currentParams.delete('selected_duration_max');
+    this.selectHeatmapCell(-1);
+  }
+
+  // Select the heatmap cell matching selected_column_time and selected_duration_min
+  selectHeatmapCellFromUrl() {
+    if (!this.heatmap) {
+      return;
+    }
+
     const urlParams = new URLSearchParams(window.location.search);
     const selectedColumnTime = urlParams.get('selected_column_time');
+    const selectedDurationMin = urlParams.get('selected_duration_min');
+    const option = this.heatmap.getOption();
+    let dataIndex = -1;
+
+    if (selectedColumnTime && selectedDurationMin) {
+      const timeIndex = option.xAxis[0].data.findIndex(value => String(value) === selectedColumnTime);
+      const bucketIndex = this.heatmapController.dataValue.buckets.findIndex(bucket => String(bucket.min) === selectedDurationMin);
+      dataIndex = option.series[0].data.findIndex(cell => cell.value[0] === timeIndex && cell.value[1] === bucketIndex);
+    }
 
-    if (selectedColumnTime) {
-      // Find the column index that matches this timestamp
-      const option = this.chart.getOption();
-      if (!option.xAxis || !option.xAxis[0] || !option.xAxis[0].data) {
-        return;
-      }
+    this.selectHeatmapCell(dataIndex);
+  }
 
-      const xAxisData = option.xAxis[0].data;
+  selectHeatmapCell(dataIndex) {
+    if (!this.heatmap) {
+      return;
+    }
 
-      // Try exact match first
-      let columnIndex = xAxisData.findIndex(timestamp => timestamp.toString() === selectedColumnTime);
+    const cellCount = this.heatmap.getOption().series[0].data.length;
+    this.heatmap.dispatchAction({
+      type: 'unselect',
+      seriesIndex: 0,
+      dataIndex: Array.from({ length: cellCount }, (_, index) => index)
+    });
 
-      // If no exact match, try converting to numbers and comparing
-      if (columnIndex === -1) {
-        const selectedTimeNumber = parseInt(selectedColumnTime);
-        columnIndex = xAxisData.findIndex(timestamp => parseInt(timestamp) === selectedTimeNumber);
-      }
+    if (dataIndex !== -1) {
+      this.heatmap.dispatchAction({ type: 'select', seriesIndex: 0, dataIndex });
+    }
+  }
+
+  executeTurboFrameRequestForColumn(url) {
+    // A pending debounced zoom request would otherwise overwrite the column selection
+    if (this.pendingRequestTimeout) {
+      clearTimeout(this.pendingRequestTimeout);
+      this.pendingRequestTimeout = null;
+    }
+
+    this.fetchIndexTable(url);
+  }
+
+  initializeColumnSelectionFromUrl() {
+    // Check if there's a selected_column_time or selected range parameter in the URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const selectedColumnTime = urlParams.get('selected_column_time');
+    const selectedStartTime = urlParams.get('selected_start_time');
+    const selectedEndTime = urlParams.get('selected_end_time');
+
+    if (selectedColumnTime) {
+      // Find the column index that matches this timestamp
+      const columnIndex = this.findColumnIndex(selectedColumnTime);
 
       if (columnIndex !== -1) {
         // Set the selected column index and apply visual styling
@@ -542,6 +1125,38 @@ export default class extends Controller {
           this.highlightColumn(columnIndex);
         });
       }
+    } else if (selectedStartTime && selectedEndTime) {
+      const startIndex = this.findColumnIndex(selectedStartTime);
+      const endIndex = this.findColumnIndex(selectedEndTime);
+
+      if (startIndex !== -1 && endIndex !== -1) {
+        this.selectedRange = { startIndex, endIndex };
+        requestAnimationFrame(() => {
+          this.drawBrush(startIndex, endIndex);
+          this.highlightRange(startIndex, endIndex);
+        });
+      }
     }
   }
+
+  // Find the index of the column whose timestamp matches the given URL parameter value
+  findColumnIndex(timestamp) {
+    const option = this.chart.getOption();
+    if (!option.xAxis || !option.xAxis[0] || !option.xAxis[0].data) {
+      return -1;
+    }
+
+    const xAxisData = option.xAxis[0].data;
+
+    // Try exact match first
+    let columnIndex = xAxisData.findIndex(value => value.toString() === timestamp);
+
+    // If no exact match, try converting to numbers and comparing
+    if (columnIndex === -1) {
+      const timeNumber = parseInt(timestamp);
+      columnIndex = xAxisData.findIndex(value => parseInt(value) === timeNumber);
+    }
+
+    return columnIndex;
+  }
 }
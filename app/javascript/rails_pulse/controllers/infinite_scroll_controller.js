@@ -0,0 +1,148 @@
+import { Controller } from "@hotwired/stimulus"
+
+// The next page starts loading when the pagination bar comes this close to the viewport
+const ROOT_MARGIN = '400px'
+
+// Infinite scroll for the index tables, switched on with the toggle in the pagination
+// bar below the table and remembered in localStorage. While it is on, the page links
+// give way to a Load more button, and the next page is loaded as soon as the bar
+// scrolls into view. Its rows are appended to the table; the URL comes from the
+// pagination links, so sort, zoom and filter params are kept.
+export default class extends Controller {
+  static targets = ["toggle", "pages", "more", "status", "loadButton", "topButton"]
+
+  static values = {
+    nextUrl: String, // Next page, empty on the last page
+    count: Number    // Rows across all pages
+  }
+
+  connect() {
+    this.storageKey = "infinite-scroll"
+    this.pagesLoaded = 0
+
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadMore()
+      }
+    }, { rootMargin: ROOT_MARGIN })
+
+    this.toggleTarget.checked = this.enabled
+    this.update()
+  }
+
+  disconnect() {
+    this.observer.disconnect()
+
+    if (this.requestController) {
+      this.requestController.abort()
+      this.requestController = null
+    }
+  }
+
+  get enabled() {
+    return localStorage.getItem(this.storageKey) === 'on'
+  }
+
+  get table() {
+    let element = this.element.previousElementSibling
+    while (element && element.tagName !== 'TABLE') {
+      element = element.previousElementSibling
+    }
+    return element
+  }
+
+  toggle() {
+    localStorage.setItem(this.storageKey, this.toggleTarget.checked ? 'on' : 'off')
+    this.update()
+  }
+
+  update() {
+    const enabled = this.enabled
+
+    this.pagesTarget.hidden = enabled
+    this.moreTarget.hidden = !enabled
+    this.loadButtonTarget.hidden = !this.nextUrlValue
+    this.topButtonTarget.hidden = this.pagesLoaded === 0
+
+    const rows = this.table ? this.table.tBodies[0].rows.length : 0
+    this.statusTarget.textContent = `Showing ${rows} of ${this.countValue}`
+
+    // Observing again checks right away, so a table still shorter than the
+    // viewport after the last page keeps filling up
+    this.observer.disconnect()
+    if (enabled && this.nextUrlValue) {
+      this.observer.observe(this.element)
+    }
+  }
+
+  loadMore() {
+    if (this.requestController || !this.nextUrlValue || !this.table) return
+
+    const requestController = new AbortController()
+    this.requestController = requestController
+
+    const frame = this.element.closest('turbo-frame')
+    const headers = { 'Accept': 'text/html' }
+    if (frame) {
+      // Frame requests skip the charts and metric cards the rows don't need
+      headers['Turbo-Frame'] = frame.id
+    }
+
+    let failed = false
+    this.loadButtonTarget.disabled = true
+    this.statusTarget.textContent = 'Loading more rows…'
+
+    fetch(this.nextUrlValue, { method: 'GET', signal: requestController.signal, headers })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`)
+      }
+      return response.text()
+    })
+    .then(html => {
+      const doc = new DOMParser().parseFromString(html, 'text/html')
+      const scope = (frame && doc.querySelector(`turbo-frame#${frame.id}`)) || doc
+      const pagination = scope.querySelector(`[data-controller~="${this.identifier}"]`)
+      const table = pagination && pagination.previousElementSibling
+
+      if (!table || table.tagName !== 'TABLE') {
+        throw new Error('The next page has no table')
+      }
+
+      const rows = Array.from(table.tBodies[0].rows, row => document.importNode(row, true))
+      this.table.tBodies[0].append(...rows)
+
+      // Auto-refresh leaves the table alone once it has more than its first page
+      this.pagesLoaded += 1
+      this.table.dataset.appendedPages = String(this.pagesLoaded)
+
+      this.countValue = Number(pagination.getAttribute(`data-${this.identifier}-count-value`))
+      this.nextUrlValue = pagination.getAttribute(`data-${this.identifier}-next-url-value`) || ''
+    })
+    .catch(error => {
+      if (error.name === 'AbortError') return
+
+      console.error('[RailsPulse] Loading more rows failed:', error)
+      failed = true
+    })
+    .finally(() => {
+      if (this.requestController !== requestController) return
+
+      this.requestController = null
+      this.loadButtonTarget.disabled = false
+
+      if (failed) {
+        // Wait for Load more instead of retrying on every scroll
+        this.observer.disconnect()
+        this.statusTarget.textContent = "Couldn't load more rows"
+      } else {
+        this.update()
+      }
+    })
+  }
+
+  jumpToTop() {
+    const target = this.element.closest('turbo-frame') || this.table
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+}
@@ -0,0 +1,58 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Kiosk mode for wall displays: shows each configured page for `interval` seconds,
+// then moves on to the next one. The countdown shows when the next page comes up.
+export default class extends Controller {
+  static targets = ["countdown"]
+
+  static values = {
+    pages: Array,    // Page paths in rotation order, each with kiosk=1
+    interval: Number // Seconds each page is shown
+  }
+
+  connect() {
+    this.remaining = this.intervalValue
+    this.updateCountdown()
+
+    // A single page only needs the auto-refresh
+    if (this.pagesValue.length < 2) return
+
+    this.timer = setInterval(() => this.tick(), 1000)
+  }
+
+  disconnect() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  tick() {
+    this.remaining -= 1
+    this.updateCountdown()
+
+    if (this.remaining <= 0) {
+      this.disconnect()
+      this.showNextPage()
+    }
+  }
+
+  // Pages not in the rotation (e.g. opened from a link) continue with the first page
+  showNextPage() {
+    const paths = this.pagesValue.map(page => new URL(page, window.location.origin).pathname)
+    const index = paths.indexOf(window.location.pathname)
+    const next = this.pagesValue[(index + 1) % this.pagesValue.length]
+
+    if (typeof Turbo !== 'undefined') {
+      Turbo.visit(next, { action: 'replace' })
+    } else {
+      window.location.href = next
+    }
+  }
+
+  updateCountdown() {
+    if (this.hasCountdownTarget && this.pagesValue.length > 1) {
+      this.countdownTarget.textContent = `Next page in ${this.remaining}s`
+    }
+  }
+}
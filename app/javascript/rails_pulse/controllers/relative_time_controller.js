@@ -0,0 +1,38 @@
+import { Controller } from "@hotwired/stimulus"
+import { strftime } from "../time_zone"
+import { timeAgo, everySecond } from "../relative_time"
+
+// Keeps a <time> element (see relative_time_tag in FormattingHelper) reading how long
+// ago its datetime was, with the full time in the display timezone as its title
+export default class extends Controller {
+  connect() {
+    this.date = new Date(this.element.getAttribute('datetime'))
+    if (isNaN(this.date)) return
+
+    this.render()
+    this.renderTitle()
+    this.stopTicking = everySecond(() => this.render())
+
+    this.handleTimeZoneChange = this.renderTitle.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  disconnect() {
+    if (this.stopTicking) {
+      this.stopTicking()
+      this.stopTicking = null
+    }
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  render() {
+    const text = timeAgo(this.date)
+    if (this.element.textContent !== text) {
+      this.element.textContent = text
+    }
+  }
+
+  renderTitle() {
+    this.element.title = strftime(this.date, '%b %d, %Y %l:%M:%S %p %Z').replace(/\s+/g, ' ')
+  }
+}
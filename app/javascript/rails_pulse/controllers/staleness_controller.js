@@ -0,0 +1,59 @@
+import { Controller } from "@hotwired/stimulus"
+import { everySecond } from "../relative_time"
+
+// Stale data warning (see the stale_data_warning component). It stays hidden until
+// the time in data-due-at, when the oldest hour not summarized yet ended and could have
+// been, is older than the threshold; so a page left open during an incident starts
+// warning on its own. Refresh reloads the turbo frame around the warning from the
+// current URL, which renders the cards and a new warning.
+export default class extends Controller {
+  static targets = ["button"]
+
+  static values = {
+    threshold: Number // seconds
+  }
+
+  connect() {
+    this.dueAt = new Date(this.element.dataset.dueAt)
+    this.update()
+    this.stopTicking = everySecond(() => this.update())
+  }
+
+  disconnect() {
+    if (this.stopTicking) {
+      this.stopTicking()
+      this.stopTicking = null
+    }
+  }
+
+  get stale() {
+    return !isNaN(this.dueAt) && Date.now() - this.dueAt >= this.thresholdValue * 1000
+  }
+
+  update() {
+    this.element.hidden = !this.stale
+  }
+
+  refresh() {
+    const frame = this.element.closest('turbo-frame')
+    if (!frame) {
+      window.location.reload()
+      return
+    }
+
+    this.buttonTarget.disabled = true
+
+    // Zoom, selection and sort live in the URL, so the frame is loaded from the page as the user sees it
+    const url = window.location.href
+    if (frame.getAttribute('src') === url) {
+      frame.reload()
+    } else {
+      frame.src = url
+    }
+
+    // A successful load replaces this element, a failed one leaves it to try again
+    Promise.resolve(frame.loaded).finally(() => {
+      this.buttonTarget.disabled = false
+    })
+  }
+}
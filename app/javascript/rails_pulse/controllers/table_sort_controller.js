@@ -7,8 +7,8 @@ export default class extends Controller {
     const href = link.getAttribute('href');
     
     if (href) {
-      // Update the browser URL to match the sort link
-      window.history.replaceState({}, '', href);
+      // Update the browser URL to match the sort link, keeping Turbo's restoration data
+      window.history.replaceState(window.history.state, '', href);
     }
   }
 }
\ No newline at end of file
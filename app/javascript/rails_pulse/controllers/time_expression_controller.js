@@ -0,0 +1,146 @@
+import { Controller } from "@hotwired/stimulus"
+import flatpickr from "flatpickr"
+import { all as globalAnnotations } from "../annotations"
+import { parse, format, describe, lastDeploy } from "../time_expressions"
+import { parts } from "../time_zone"
+
+// Times with an offset, as in the ranges the server renders back into the input
+const OFFSET = /\d:\d{2}\s*(z|utc|[+-]\d{2}:?\d{2})\b/i
+
+// Date range input that reads typed expressions ("last 3h", "yesterday 14:00 to 16:30",
+// "since deploy", see time_expressions.js) as well as ranges picked from the calendar.
+// The resolved range goes into the value target as "start to end", the format the
+// server reads, and invalid expressions block the form through the input's validity.
+export default class extends Controller {
+  static targets = ["input", "value", "feedback"]
+  static values = {
+    showMonths: { type: Number, default: 2 }
+  }
+
+  connect() {
+    this.flatpickr = flatpickr(this.valueTarget, {
+      mode: 'range',
+      enableTime: true,
+      dateFormat: 'Y-m-d H:i',
+      showMonths: this.showMonthsValue,
+      clickOpens: false,
+      positionElement: this.inputTarget,
+      ignoredFocusElements: [this.inputTarget],
+      onChange: (dates, dateString) => this.pick(dates, dateString)
+    })
+    // flatpickr turns its input into a text field
+    this.valueTarget.type = 'hidden'
+
+    this.resolve({ syncCalendar: true })
+    if (this.range && OFFSET.test(this.inputTarget.value)) {
+      this.writeRange()
+    }
+
+    this.handleTimeZoneChange = this.onTimeZoneChange.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  disconnect() {
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+    this.flatpickr.destroy()
+  }
+
+  // Open the calendar under the input
+  open() {
+    this.flatpickr.open()
+  }
+
+  // Typing replaces the calendar with the parsing feedback
+  change() {
+    this.flatpickr.close()
+    this.resolve({ syncCalendar: true })
+  }
+
+  clear() {
+    this.inputTarget.value = ''
+    this.resolve({ syncCalendar: true })
+  }
+
+  // A range picked from the calendar is written out like one typed in
+  pick(dates, dateString) {
+    if (dates.length < 2) return
+
+    this.inputTarget.value = dateString
+    this.writtenText = dateString
+    this.resolve({ syncCalendar: false })
+  }
+
+  // Absolute ranges keep pointing at the same times in the new zone, expressions
+  // like "today" are read again
+  onTimeZoneChange() {
+    if (this.range && this.inputTarget.value === this.writtenText) {
+      this.writeRange()
+    }
+    this.resolve({ syncCalendar: true })
+  }
+
+  // Write the resolved range as the calendar would, in the display timezone
+  writeRange() {
+    this.inputTarget.value = `${this.wallClockText(this.range.start)} to ${this.wallClockText(this.range.end)}`
+    this.writtenText = this.inputTarget.value
+  }
+
+  resolve({ syncCalendar }) {
+    const text = this.inputTarget.value.trim()
+
+    this.range = null
+
+    if (!text) {
+      this.valueTarget.value = ''
+      if (syncCalendar) this.flatpickr.clear(false)
+      this.showFeedback('', '')
+      return
+    }
+
+    const range = parse(text, { deployedAt: this.deployedAt })
+    if (range.error) {
+      this.valueTarget.value = ''
+      this.showFeedback(range.error, range.error)
+      return
+    }
+
+    this.range = range
+    if (syncCalendar) this.flatpickr.setDate([this.wallClock(range.start), this.wallClock(range.end)], false)
+    this.valueTarget.value = `${format(range.start)} to ${format(range.end)}`
+    this.showFeedback(describe(range), '')
+  }
+
+  showFeedback(text, error) {
+    this.inputTarget.setCustomValidity(error)
+
+    if (this.hasFeedbackTarget) {
+      this.feedbackTarget.textContent = text
+      this.feedbackTarget.toggleAttribute('data-invalid', !!error)
+    }
+  }
+
+  // flatpickr works in the browser's zone, so it is given and gives back the wall
+  // clock times of the display zone
+  wallClock(date) {
+    const { year, month, day, hour, minute } = parts(date)
+    return new Date(year, month - 1, day, hour, minute)
+  }
+
+  wallClockText(date) {
+    return this.flatpickr.formatDate(this.wallClock(date), 'Y-m-d H:i')
+  }
+
+  // Deploys annotated at runtime (window.RailsPulse.annotations) or on the page's charts
+  get deployedAt() {
+    const chartAnnotations = Array.from(document.querySelectorAll('[data-rails-pulse--chart-annotations-value]'))
+      .flatMap(element => {
+        try {
+          return JSON.parse(element.getAttribute('data-rails-pulse--chart-annotations-value'))
+        } catch (error) {
+          return []
+        }
+      })
+
+    return lastDeploy([...globalAnnotations(), ...chartAnnotations])
+  }
+}
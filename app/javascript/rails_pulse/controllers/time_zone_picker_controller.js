@@ -0,0 +1,47 @@
+import { Controller } from "@hotwired/stimulus"
+import timeZone from "../time_zone"
+
+// Header menu for the display timezone. The select starts out with Browser and UTC,
+// the other zones the browser knows are added on connect.
+export default class extends Controller {
+  static targets = ["button", "select", "label"]
+
+  connect() {
+    this.populate()
+    this.update()
+
+    this.handleTimeZoneChange = this.update.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  disconnect() {
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  change() {
+    timeZone.set(this.selectTarget.value)
+  }
+
+  populate() {
+    const existing = new Set(Array.from(this.selectTarget.options).map(option => option.value))
+    const options = timeZone.zones()
+      .filter(zone => !existing.has(zone))
+      .map(zone => new Option(zone.replace(/_/g, ' '), zone))
+
+    this.selectTarget.append(...options)
+    this.selectTarget.querySelector('option[value="browser"]').textContent = `Browser (${timeZone.browserZone()})`
+  }
+
+  // Select the stored setting and show the zone's abbreviation next to the icon
+  update() {
+    this.selectTarget.value = timeZone.setting()
+
+    if (this.hasLabelTarget) {
+      this.labelTarget.textContent = timeZone.zoneAbbreviation(new Date())
+    }
+
+    if (this.hasButtonTarget) {
+      this.buttonTarget.title = `Times are shown in ${timeZone.current()}`
+    }
+  }
+}
@@ -0,0 +1,28 @@
+import { Controller } from "@hotwired/stimulus"
+import { current as currentZone, strftime } from "../time_zone"
+
+// Re-renders a server formatted <time> element (see timestamp_tag in FormattingHelper)
+// in the display timezone, with the same strftime format the server used
+export default class extends Controller {
+  static values = {
+    format: { type: String, default: "%b %d, %Y %l:%M %p" }
+  }
+
+  connect() {
+    this.handleTimeZoneChange = this.render.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+    this.render()
+  }
+
+  disconnect() {
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
+  }
+
+  render() {
+    const date = new Date(this.element.getAttribute('datetime'))
+    if (isNaN(date)) return
+
+    this.element.textContent = strftime(date, this.formatValue)
+    this.element.title = currentZone()
+  }
+}
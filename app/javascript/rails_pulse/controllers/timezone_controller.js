@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { format as formatInTimeZone } from "../time_zone"
 
 export default class extends Controller {
   static values = { cachedAt: String, targetFrame: String }
@@ -7,9 +8,13 @@ export default class extends Controller {
     this.updateTimestamp()
     this.setupObserver()
     this.setupTurboFrameListener()
+
+    this.handleTimeZoneChange = this.updateTimestamp.bind(this)
+    document.addEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
   }
 
   disconnect() {
+    document.removeEventListener('rails-pulse:time-zone-changed', this.handleTimeZoneChange)
     if (this.observer) {
       this.observer.disconnect()
     }
@@ -87,7 +92,7 @@ export default class extends Controller {
     if (cachedAtValue) {
       try {
         const date = new Date(cachedAtValue)
-        const localTimeString = date.toLocaleString('en-US', {
+        const localTimeString = formatInTimeZone(date, {
           year: 'numeric',
           month: 'long',
           day: 'numeric',
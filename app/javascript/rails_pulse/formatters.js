@@ -0,0 +1,151 @@
+import { current as currentZone, parts } from './time_zone'
+
+// Named chart formatter registry, exposed as window.RailsPulse.formatters.
+//
+// Chart options reference formatters by name instead of shipping JavaScript
+// source, which keeps charts CSP compliant:
+//
+//   { "tooltip": { "formatter": { "name": "axis_tooltip", "params": { "units": "ms" } } } }
+//
+// A formatter is called with the value ECharts passes (a label, a value or the
+// tooltip params) and the params from the reference. Host apps can add their own:
+//
+//   window.RailsPulse.formatters.register('req_per_min', (value, { decimals = 0 }) => {
+//     return `${value.toFixed(decimals)} req/min`
+//   })
+
+const registry = new Map()
+
+function toNumber(value) {
+  return typeof value === 'string' ? Number(value) : value
+}
+
+function formatNumber(value, { decimals, locale, units } = {}) {
+  const num = toNumber(value)
+  if (typeof num !== 'number' || isNaN(num)) return value
+
+  const formatted = decimals === undefined
+    ? num.toLocaleString(locale)
+    : num.toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+
+  return units ? `${formatted} ${units}` : formatted
+}
+
+function formatDate(value, multiplier, format) {
+  const num = toNumber(value)
+  if (typeof num !== 'number' || isNaN(num)) return value
+
+  return format(new Date(num * multiplier))
+}
+
+export function register(name, formatter) {
+  if (typeof formatter !== 'function') {
+    throw new TypeError(`[RailsPulse] Formatter "${name}" must be a function`)
+  }
+  registry.set(name, formatter)
+}
+
+export function has(name) {
+  return registry.has(name)
+}
+
+export function names() {
+  return Array.from(registry.keys())
+}
+
+export function get(name) {
+  const formatter = registry.get(name)
+  if (!formatter) {
+    throw new Error(
+      `[RailsPulse] Unknown chart formatter "${name}". ` +
+      `Register it with window.RailsPulse.formatters.register("${name}", fn). ` +
+      `Registered formatters: ${names().join(', ')}`
+    )
+  }
+  return formatter
+}
+
+// Turns a { name, params } reference into a function ECharts can call
+export function resolve(reference) {
+  const formatter = get(reference.name)
+  const params = reference.params || {}
+  return (value) => formatter(value, params)
+}
+
+// Numbers
+register('number', (value, params) => formatNumber(value, params))
+register('number_delimited', (value, { locale } = {}) => formatNumber(value, { locale }))
+register('duration_ms', (value, { decimals = 2, locale, units = 'ms' } = {}) => formatNumber(value, { decimals, locale, units }))
+register('integer', (value, { units } = {}) => {
+  const num = parseInt(value, 10)
+  if (isNaN(num)) return value
+
+  return units ? `${num} ${units}` : `${num}`
+})
+register('percentage', (value, { decimals = 1, locale } = {}) => {
+  const formatted = formatNumber(value, { decimals, locale })
+  return formatted === value ? value : `${formatted}%`
+})
+register('bytes', (value, { decimals = 2 } = {}) => {
+  if (typeof value !== 'number') return value
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let size = value
+  let unitIndex = 0
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024
+    unitIndex++
+  }
+
+  return size.toFixed(decimals) + ' ' + units[unitIndex]
+})
+
+// Unix timestamps (seconds since epoch, as used for chart labels). Dates are shown
+// in the display timezone (see time_zone.js) unless params pass a timeZone.
+register('unix_timestamp', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1000, date => date.toLocaleString(locale, { timeZone })))
+register('unix_date', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1000, date => date.toLocaleDateString(locale, { timeZone })))
+register('unix_time', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1000, date => date.toLocaleTimeString(locale, { timeZone })))
+// Hours start at :30 or :45 in zones like Asia/Kolkata or Asia/Kathmandu
+register('unix_hour', (value, { timeZone = currentZone() } = {}) => formatDate(value, 1000, date => {
+  const { hour, minute } = parts(date, timeZone)
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+}))
+register('unix_short_date', (value, { locale = 'en-US', timeZone = currentZone() } = {}) => {
+  return formatDate(value, 1000, date => date.toLocaleDateString(locale, { month: 'short', day: 'numeric', timeZone }))
+})
+
+// JavaScript timestamps (milliseconds)
+register('timestamp', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1, date => date.toLocaleString(locale, { timeZone })))
+register('date', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1, date => date.toLocaleDateString(locale, { timeZone })))
+register('time', (value, { locale, timeZone = currentZone() } = {}) => formatDate(value, 1, date => date.toLocaleTimeString(locale, { timeZone })))
+
+// Axis tooltip: the axis label formatted with the `label` formatter in timeZone, then
+// one line per series with its value formatted by the `value` formatter with units/decimals
+register('axis_tooltip', (params, { label = 'unix_timestamp', value = 'number', units, decimals, locale, timeZone } = {}) => {
+  const list = Array.isArray(params) ? params : [params]
+  if (list.length === 0) return ''
+
+  const labelFormatter = get(label)
+  const valueFormatter = get(value)
+  const header = labelFormatter(list[0].axisValue, { locale, timeZone })
+  const lines = list.map(item => {
+    const raw = item.data !== null && typeof item.data === 'object' ? item.data.value : item.data
+    const name = list.length > 1 && item.seriesName ? `${item.seriesName}: ` : ''
+    return `${item.marker} ${name}${valueFormatter(raw, { decimals, locale, units })}`
+  })
+
+  return [header, ...lines].join(' <br /> ')
+})
+
+// Heatmap cell tooltip: the period formatted with the `label` formatter in timeZone, then the
+// duration bucket and the count. Cells carry their time and bucket label (see
+// setHeatmapChartData in chart_controller.js).
+register('heatmap_tooltip', (params, { label = 'unix_timestamp', units = 'requests', locale, timeZone } = {}) => {
+  const { time, bucket, value } = params.data
+  const header = get(label)(time, { locale, timeZone })
+
+  return `${header} <br /> ${params.marker} ${bucket}: ${formatNumber(value[2], { locale, units })}`
+})
+
+export default { register, get, has, names, resolve }
@@ -0,0 +1,34 @@
+// Relative times like "3m ago", kept current by the relative time and staleness
+// controllers. They read the same as FormattingHelper#time_ago_in_words, which
+// renders them on the server.
+
+const subscribers = new Set()
+let timer = null
+
+export function timeAgo(date, now = new Date()) {
+  const seconds = Math.max(0, Math.floor((now - date) / 1000))
+
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
+  return `${Math.floor(seconds / 86400)}d ago`
+}
+
+// Calls callback every second until the returned function is called. Every
+// subscriber shares one timer, which stops with the last of them.
+export function everySecond(callback) {
+  subscribers.add(callback)
+  if (!timer) {
+    timer = setInterval(() => subscribers.forEach(subscriber => subscriber()), 1000)
+  }
+
+  return () => {
+    subscribers.delete(callback)
+    if (subscribers.size === 0 && timer) {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
+
+export default { timeAgo, everySecond }
@@ -412,5 +412,269 @@
             }
         }
     });
-}));
 
+    // Companion theme used by chart_controller.js while the dark color scheme is active
+    echarts.registerTheme('railspulse-dark', {
+        "color": [
+            "#ffc91f",
+            "#ffde66",
+            "#fbedbf",
+            "#ffc91f",
+            "#ffc91f",
+            "#ffc91f"
+        ],
+        "backgroundColor": "rgba(0,0,0,0)",
+        "textStyle": {
+            "color": "#d4d4d4"
+        },
+        "title": {
+            "textStyle": {
+                "color": "#e5e5e5"
+            },
+            "subtextStyle": {
+                "color": "#a3a3a3"
+            }
+        },
+        "line": {
+            "itemStyle": {
+                "borderWidth": "2"
+            },
+            "lineStyle": {
+                "width": "3"
+            },
+            "symbolSize": "8",
+            "symbol": "emptyCircle",
+            "smooth": false
+        },
+        "bar": {
+            "itemStyle": {
+                "barBorderWidth": 0,
+                "barBorderColor": "#404040"
+            }
+        },
+        "categoryAxis": {
+            "axisLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": "#525252"
+                }
+            },
+            "axisTick": {
+                "show": false,
+                "lineStyle": {
+                    "color": "#737373"
+                }
+            },
+            "axisLabel": {
+                "show": true,
+                "color": "#a3a3a3"
+            },
+            "splitLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": [
+                        "#333333"
+                    ]
+                }
+            },
+            "splitArea": {
+                "show": false,
+                "areaStyle": {
+                    "color": [
+                        "rgba(255,255,255,0.02)",
+                        "rgba(255,255,255,0.01)"
+                    ]
+                }
+            }
+        },
+        "valueAxis": {
+            "axisLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": "#525252"
+                }
+            },
+            "axisTick": {
+                "show": false,
+                "lineStyle": {
+                    "color": "#737373"
+                }
+            },
+            "axisLabel": {
+                "show": true,
+                "color": "#a3a3a3"
+            },
+            "splitLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": [
+                        "#333333"
+                    ]
+                }
+            },
+            "splitArea": {
+                "show": false,
+                "areaStyle": {
+                    "color": [
+                        "rgba(255,255,255,0.02)",
+                        "rgba(255,255,255,0.01)"
+                    ]
+                }
+            }
+        },
+        "logAxis": {
+            "axisLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": "#525252"
+                }
+            },
+            "axisTick": {
+                "show": false,
+                "lineStyle": {
+                    "color": "#737373"
+                }
+            },
+            "axisLabel": {
+                "show": true,
+                "color": "#a3a3a3"
+            },
+            "splitLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": [
+                        "#333333"
+                    ]
+                }
+            },
+            "splitArea": {
+                "show": false,
+                "areaStyle": {
+                    "color": [
+                        "rgba(255,255,255,0.02)",
+                        "rgba(255,255,255,0.01)"
+                    ]
+                }
+            }
+        },
+        "timeAxis": {
+            "axisLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": "#525252"
+                }
+            },
+            "axisTick": {
+                "show": false,
+                "lineStyle": {
+                    "color": "#737373"
+                }
+            },
+            "axisLabel": {
+                "show": true,
+                "color": "#a3a3a3"
+            },
+            "splitLine": {
+                "show": true,
+                "lineStyle": {
+                    "color": [
+                        "#333333"
+                    ]
+                }
+            },
+            "splitArea": {
+                "show": false,
+                "areaStyle": {
+                    "color": [
+                        "rgba(255,255,255,0.02)",
+                        "rgba(255,255,255,0.01)"
+                    ]
+                }
+            }
+        },
+        "toolbox": {
+            "iconStyle": {
+                "borderColor": "#a3a3a3"
+            },
+            "emphasis": {
+                "iconStyle": {
+                    "borderColor": "#e5e5e5"
+                }
+            }
+        },
+        "legend": {
+            "textStyle": {
+                "color": "#a3a3a3"
+            },
+            "inactiveColor": "#525252"
+        },
+        "tooltip": {
+            "backgroundColor": "#262626",
+            "borderColor": "#404040",
+            "textStyle": {
+                "color": "#e5e5e5"
+            },
+            "axisPointer": {
+                "lineStyle": {
+                    "color": "#737373",
+                    "width": 1
+                },
+                "crossStyle": {
+                    "color": "#737373",
+                    "width": 1
+                }
+            }
+        },
+        "visualMap": {
+            "color": [
+                "#ffc91f",
+                "#ffc91f",
+                "#ffc91f"
+            ],
+            "textStyle": {
+                "color": "#a3a3a3"
+            }
+        },
+        "dataZoom": {
+            "backgroundColor": "rgba(0,0,0,0)",
+            "borderColor": "#404040",
+            "fillerColor": "rgba(255,201,31,0.15)",
+            "handleStyle": {
+                "color": "#737373",
+                "borderColor": "#a3a3a3"
+            },
+            "moveHandleStyle": {
+                "color": "#525252"
+            },
+            "dataBackground": {
+                "lineStyle": {
+                    "color": "#525252"
+                },
+                "areaStyle": {
+                    "color": "#404040"
+                }
+            },
+            "selectedDataBackground": {
+                "lineStyle": {
+                    "color": "#ffc91f"
+                },
+                "areaStyle": {
+                    "color": "rgba(255,201,31,0.3)"
+                }
+            },
+            "textStyle": {
+                "color": "#a3a3a3"
+            }
+        },
+        "markPoint": {
+            "label": {
+                "color": "#171717"
+            },
+            "emphasis": {
+                "label": {
+                    "color": "#171717"
+                }
+            }
+        }
+    });
+}));
@@ -0,0 +1,240 @@
+import { current as currentZone, parts, fromParts, offsetLabel } from './time_zone'
+
+// Parses the time range expressions typed into date range inputs, exposed as
+// window.RailsPulse.timeExpressions:
+//
+//   last 3h, past 2 days, 45m         the last 3 hours, 2 days or 45 minutes
+//   today, yesterday, 2026-10-01      a whole day (today up to now)
+//   yesterday 14:00 to 16:30          a range; an end without a day uses the start's day
+//   2026-10-01..2026-10-03            both days included
+//   since deploy, since 09:00         from the latest deploy annotation or a time until now
+//
+// Days and times are read in the display timezone (see time_zone.js) unless they
+// carry an offset, like the "2026-10-01 14:00 +02:00" ranges sent to the server.
+// parse returns { start, end } as Dates, or { error } with a message for the user.
+// Ranges can't end before they start or reach into the future.
+
+const UNITS = {
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+  w: 604800, wk: 604800, week: 604800, weeks: 604800
+}
+
+const EXAMPLES = '"last 3h", "yesterday 14:00 to 16:30", "since deploy" or "2026-10-01..2026-10-03"'
+
+const DURATION = /^(?:(?:last|past)\s+)?(\d+(?:\.\d+)?)\s*([a-z]+)$/
+const SINGLE_UNIT = /^(?:last|past)\s+([a-z]+)$/
+const RANGE_SEPARATOR = /\s+to\s+|\s*\.\.\s*/
+const DAY = /^(today|yesterday|\d{4}-\d{1,2}-\d{1,2})(?:\s+|$)/
+const TIME = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?:\s*(z|utc|[+-]\d{2}:?\d{2}))?$/
+
+export function parse(text, { now = new Date(), deployedAt = null, timeZone = currentZone() } = {}) {
+  const expression = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ')
+  if (!expression) return { error: 'Enter a time range' }
+
+  const range = parseRange(expression, { now, deployedAt, zone: timeZone })
+  if (range.error) return range
+
+  return validate(range, now)
+}
+
+// Formats a Date the way the server reads it: "2026-10-01 14:00 +02:00" in timeZone
+export function format(date, timeZone = currentZone()) {
+  const { year, month, day, hour, minute } = parts(date, timeZone)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)} ${offsetLabel(date, timeZone)}`
+}
+
+// "Oct 18, 14:00 – 16:30 (2h 30m)", used as live feedback while typing
+export function describe({ start, end }, { locale, timeZone = currentZone() } = {}) {
+  const dateTime = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }
+  const sameDay = dayKey(start, timeZone) === dayKey(end, timeZone)
+  const endLabel = sameDay
+    ? end.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone })
+    : end.toLocaleString(locale, dateTime)
+
+  return `${start.toLocaleString(locale, dateTime)} – ${endLabel} (${formatDuration(end - start)})`
+}
+
+// Latest deploy annotation that isn't in the future, as a Date, or null. Annotation
+// times are unix seconds or anything Date.parse understands, like on charts.
+export function lastDeploy(annotations, now = new Date()) {
+  const times = annotations
+    .filter(annotation => annotation.type === 'deploy')
+    .map(annotation => annotationTime(annotation.time))
+    .filter(time => !isNaN(time) && time <= now.getTime())
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null
+}
+
+function parseRange(expression, { now, deployedAt, zone }) {
+  if (expression.startsWith('since ')) {
+    const point = expression.slice(6)
+    if (point === 'deploy' || point === 'last deploy') {
+      if (!deployedAt) return { error: 'No deploys are annotated on this page' }
+      return { start: deployedAt, end: now }
+    }
+
+    const start = parsePoint(point, now, zone)
+    return start.error ? start : { start: start.date, end: now }
+  }
+
+  const duration = parseDuration(expression)
+  if (duration !== null) {
+    return { start: new Date(now.getTime() - duration * 1000), end: now }
+  }
+
+  const points = expression.split(RANGE_SEPARATOR)
+  if (points.length > 2) return { error: `Use one "to" or ".." between the start and the end` }
+
+  if (points.length === 1) {
+    // A day on its own covers the whole day
+    const day = parsePoint(expression, now, zone)
+    if (day.error) return day
+    if (day.hasTime) return { error: `Add an end, e.g. "${expression} to now", or use "since ${expression}"` }
+
+    return { start: day.date, end: addDays(day.date, 1, zone), clampEnd: true }
+  }
+
+  const start = parsePoint(points[0], now, zone)
+  if (start.error) return start
+
+  const end = parsePoint(points[1], now, zone, start.date)
+  if (end.error) return end
+
+  // An end day without a time includes that whole day
+  if (!end.hasTime && end.hasDay) {
+    return { start: start.date, end: addDays(end.date, 1, zone), clampEnd: true }
+  }
+  return { start: start.date, end: end.date }
+}
+
+function parseDuration(expression) {
+  const match = expression.match(DURATION)
+  if (match && UNITS[match[2]]) return Number(match[1]) * UNITS[match[2]]
+
+  const single = expression.match(SINGLE_UNIT)
+  if (single && UNITS[single[1]]) return UNITS[single[1]]
+
+  return null
+}
+
+// A day and/or a time of day, e.g. "yesterday 14:00", "2026-10-01", "9am" or "now".
+// Without a day the point falls on defaultDay (the start's day for an end), else today.
+function parsePoint(text, now, zone, defaultDay = now) {
+  if (text === 'now') return { date: now, hasDay: true, hasTime: true }
+
+  let rest = text
+  let day = startOfDay(defaultDay, zone)
+  const dayMatch = rest.match(DAY)
+
+  if (dayMatch) {
+    day = parseDay(dayMatch[1], now, zone)
+    if (!day) return { error: `"${dayMatch[1]}" isn't a valid date` }
+    rest = rest.slice(dayMatch[0].length)
+  }
+
+  if (!rest) {
+    if (!dayMatch) return { error: `Couldn't read "${text}". Try ${EXAMPLES}` }
+    return { date: day, hasDay: true, hasTime: false }
+  }
+
+  const timeMatch = rest.match(TIME)
+  if (!timeMatch) return { error: `Couldn't read "${text}". Try ${EXAMPLES}` }
+
+  let hours = Number(timeMatch[1])
+  const minutes = Number(timeMatch[2] || 0)
+  const meridiem = timeMatch[3]
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return { error: `"${rest}" isn't a valid time` }
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0)
+  } else if (!timeMatch[2]) {
+    // A bare number is ambiguous ("14" could be a day), so times need minutes or am/pm
+    return { error: `Couldn't read "${text}". Try ${EXAMPLES}` }
+  }
+
+  if (hours > 23 || minutes > 59) return { error: `"${rest}" isn't a valid time` }
+
+  const { year, month, day: dayOfMonth } = parts(day, zone)
+  const offsetText = timeMatch[4]
+
+  if (offsetText) {
+    const utc = Date.UTC(year, month - 1, dayOfMonth, hours, minutes)
+    return { date: new Date(utc - offsetMinutes(offsetText) * 60000), hasDay: !!dayMatch, hasTime: true }
+  }
+
+  return { date: fromParts({ year, month, day: dayOfMonth, hour: hours, minute: minutes }, zone), hasDay: !!dayMatch, hasTime: true }
+}
+
+function parseDay(text, now, zone) {
+  if (text === 'today') return startOfDay(now, zone)
+  if (text === 'yesterday') return addDays(startOfDay(now, zone), -1, zone)
+
+  const [year, month, day] = text.split('-').map(Number)
+
+  // Date.UTC rolls over out of range values, e.g. Feb 30 becomes Mar 2
+  const check = new Date(Date.UTC(year, month - 1, day))
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null
+
+  return fromParts({ year, month, day }, zone)
+}
+
+// "z", "utc", "+02:00" or "-0500" as minutes ahead of UTC
+function offsetMinutes(text) {
+  if (text === 'z' || text === 'utc') return 0
+
+  const sign = text.startsWith('-') ? -1 : 1
+  const digits = text.slice(1).replace(':', '')
+  return sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)))
+}
+
+function validate({ start, end, clampEnd }, now) {
+  if (start > now) return { error: 'The start is in the future' }
+
+  // Whole days end at midnight, so today stops at now instead
+  const clampedEnd = clampEnd && end > now ? now : end
+
+  if (clampedEnd > now) return { error: 'The end is in the future' }
+  if (clampedEnd <= start) return { error: 'The end must be after the start' }
+
+  return { start, end: clampedEnd }
+}
+
+function startOfDay(date, zone) {
+  const { year, month, day } = parts(date, zone)
+  return fromParts({ year, month, day }, zone)
+}
+
+function addDays(date, days, zone) {
+  const { year, month, day, hour, minute } = parts(date, zone)
+  return fromParts({ year, month, day: day + days, hour, minute }, zone)
+}
+
+function dayKey(date, zone) {
+  const { year, month, day } = parts(date, zone)
+  return `${year}-${month}-${day}`
+}
+
+function annotationTime(time) {
+  if (typeof time === 'number') return time * 1000
+  if (typeof time === 'string' && /^\d+$/.test(time)) return Number(time) * 1000
+  return Date.parse(time)
+}
+
+function formatDuration(milliseconds) {
+  let minutes = Math.round(milliseconds / 60000)
+  const days = Math.floor(minutes / 1440)
+  minutes -= days * 1440
+  const hours = Math.floor(minutes / 60)
+  minutes -= hours * 60
+
+  const parts = []
+  if (days) parts.push(`${days}d`)
+  if (hours) parts.push(`${hours}h`)
+  if (minutes || parts.length === 0) parts.push(`${minutes}m`)
+  return parts.join(' ')
+}
+
+export default { parse, format, describe, lastDeploy }
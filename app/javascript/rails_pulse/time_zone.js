@@ -0,0 +1,163 @@
+// Display timezone for every timestamp Rails Pulse formats in the browser (chart
+// axes and tooltips, table timestamps, date range inputs), exposed as
+// window.RailsPulse.timeZone. The setting is stored per browser:
+//
+//   "browser"  the browser's own zone (the default)
+//   "UTC"      or any IANA zone, e.g. "America/New_York"
+//
+// set() notifies listeners with rails-pulse:time-zone-changed so they can redraw.
+
+const STORAGE_KEY = 'display-time-zone'
+
+// Shown when the browser can't list its zones (Intl.supportedValuesOf)
+const COMMON_ZONES = [
+  'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+  'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata',
+  'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+]
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const formatters = new Map()
+
+export function browserZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+export function isValid(zone) {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: zone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// The stored setting, "browser" or a zone name
+export function setting() {
+  let stored = null
+  try {
+    stored = localStorage.getItem(STORAGE_KEY)
+  } catch (error) {
+    // Storage blocked, fall back to the browser's zone
+  }
+  return stored && stored !== 'browser' && isValid(stored) ? stored : 'browser'
+}
+
+// The zone name timestamps are shown in
+export function current() {
+  const zone = setting()
+  return zone === 'browser' ? browserZone() : zone
+}
+
+export function set(zone) {
+  if (zone !== 'browser' && !isValid(zone)) {
+    throw new RangeError(`[RailsPulse] Unknown time zone "${zone}"`)
+  }
+
+  localStorage.setItem(STORAGE_KEY, zone)
+  document.dispatchEvent(new CustomEvent('rails-pulse:time-zone-changed', {
+    detail: { timeZone: current(), setting: zone }
+  }))
+}
+
+export function zones() {
+  const supported = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_ZONES
+  return supported.filter(zone => zone !== 'UTC')
+}
+
+// date.toLocaleString in the display zone
+export function format(date, options = {}, locale) {
+  return date.toLocaleString(locale, { ...options, timeZone: current() })
+}
+
+// Wall clock fields of date in zone: { year, month (1-12), day, hour, minute, second }
+export function parts(date, zone = current()) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }))
+  }
+
+  const fields = {}
+  formatters.get(zone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') fields[type] = Number(value)
+  })
+
+  return {
+    year: fields.year, month: fields.month, day: fields.day,
+    hour: fields.hour, minute: fields.minute, second: fields.second
+  }
+}
+
+// Minutes zone is ahead of UTC at date, e.g. 120 for Europe/Berlin in summer
+export function offset(date, zone = current()) {
+  const { year, month, day, hour, minute, second } = parts(date, zone)
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+// "+02:00", the suffix the server parses ranges with
+export function offsetLabel(date, zone = current()) {
+  const minutes = offset(date, zone)
+  const absolute = Math.abs(minutes)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+}
+
+// The Date for a wall clock time in zone. Out of range fields roll over like
+// Date.UTC, so { day: day + 1 } is the next day.
+export function fromParts({ year, month, day, hour = 0, minute = 0 }, zone = current()) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  const guess = wallClock - offset(new Date(wallClock), zone) * 60000
+  // The offset can differ at the guess when a DST change lies in between
+  return new Date(wallClock - offset(new Date(guess), zone) * 60000)
+}
+
+// The strftime subset the server formats timestamps with (%Y %m %d %e %-d %b %H %I %-I
+// %l %M %S %L %p %Z), so times re-rendered in the display zone read the same
+export function strftime(date, pattern, zone = current()) {
+  const { year, month, day, hour, minute, second } = parts(date, zone)
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  const hour12 = hour % 12 || 12
+
+  const directives = {
+    Y: year,
+    m: pad(month),
+    d: pad(day),
+    e: String(day).padStart(2, ' '),
+    '-d': day,
+    b: MONTHS[month - 1],
+    H: pad(hour),
+    I: pad(hour12),
+    '-I': hour12,
+    l: String(hour12).padStart(2, ' '),
+    M: pad(minute),
+    S: pad(second),
+    L: pad(date.getMilliseconds(), 3),
+    p: hour < 12 ? 'AM' : 'PM',
+    Z: zoneAbbreviation(date, zone)
+  }
+
+  return pattern.replace(/%(-?[a-zA-Z%])/g, (match, directive) => {
+    if (directive === '%') return '%'
+    return directive in directives ? String(directives[directive]) : match
+  })
+}
+
+// "UTC", "EDT" or "GMT+2", whatever the browser abbreviates the zone to
+export function zoneAbbreviation(date, zone = current()) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName')
+
+  return name ? name.value : zone
+}
+
+export default {
+  browserZone, isValid, setting, current, set, zones, format, parts, offset, offsetLabel,
+  fromParts, strftime, zoneAbbreviation
+}
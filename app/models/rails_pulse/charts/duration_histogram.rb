@@ -0,0 +1,102 @@
+module RailsPulse
+  module Charts
+    # Distribution of request/operation durations for the histogram chart type.
+    # Bins cover 0 up to the p99 duration in steps of 1, 2 or 5 times a power of
+    # ten; slower durations share an open ended last bin. Bins are counted and
+    # percentiles read in the database. Subclasses provide the records to count and
+    # the route or query they belong to (see RecordFilters).
+    #
+    #   {
+    #     bins: [{ label: "0-50 ms", min: 0, max: 50, count: 12 }, ..., { label: "1000+ ms", min: 1000, max: nil, count: 3 }],
+    #     percentiles: { p50: 42.5, p95: 310.0, p99: 812.25 },
+    #     total: 1204
+    #   }
+    class DurationHistogram
+      include RecordFilters
+
+      BIN_COUNT = 20
+
+      def initialize(start_time: nil, end_time: nil, start_duration: nil, ransack_params: {}, disabled_tags: [], show_non_tagged: true)
+        @start_time = start_time
+        @end_time = end_time
+        @start_duration = start_duration
+        @ransack_params = ransack_params
+        @disabled_tags = disabled_tags
+        @show_non_tagged = show_non_tagged
+      end
+
+      def to_chart_data
+        scope = filtered_records.where.not(duration: nil)
+
+        total = scope.count
+        return { bins: [], percentiles: {}, total: 0 } if total.zero?
+
+        percentiles = {
+          p50: percentile(scope, total, 0.5),
+          p95: percentile(scope, total, 0.95),
+          p99: percentile(scope, total, 0.99)
+        }
+
+        {
+          bins: build_bins(scope, percentiles[:p99]),
+          percentiles: percentiles.transform_values { |value| value.round(2) },
+          total: total
+        }
+      end
+
+      private
+
+      def build_bins(scope, p99)
+        width = bin_width(p99)
+        bin_count = [ (p99 / width).ceil, 1 ].max
+        edges = (0..bin_count).map { |index| format_ms(index * width) }
+
+        # Index bin_count is the open ended bin above the last edge
+        counts = scope.group(Arel.sql(bin_index_sql(edges))).count.transform_keys(&:to_i)
+
+        bins = edges.each_cons(2).with_index.map do |(min, max), index|
+          { label: "#{min}-#{max} ms", min: min, max: max, count: counts[index] || 0 }
+        end
+        overflow = counts[bin_count] || 0
+        bins << { label: "#{edges.last}+ ms", min: edges.last, max: nil, count: overflow } if overflow > 0
+        bins
+      end
+
+      # Index of the bin containing duration, by the lower edge of each bin
+      def bin_index_sql(edges)
+        column = "#{records.table_name}.duration"
+        conditions = edges.each_with_index.drop(1).reverse.map do |edge, index|
+          "WHEN #{column} >= #{edge} THEN #{index}"
+        end
+
+        "CASE #{conditions.join(' ')} ELSE 0 END"
+      end
+
+      # Smallest 1, 2 or 5 times a power of ten that fits p99 into BIN_COUNT bins
+      def bin_width(p99)
+        return 1 unless p99 > 0
+
+        raw = p99 / BIN_COUNT
+        magnitude = 10.0**Math.log10(raw).floor
+        [ 1, 2, 5, 10 ].find { |step| raw <= step * magnitude } * magnitude
+      end
+
+      # Same interpolation as SummaryService so the marked percentiles match the
+      # summaries, reading only the two durations around the position
+      def percentile(scope, total, percentile)
+        k = (percentile * (total - 1)).floor
+        f = (percentile * (total - 1)) - k
+
+        lower, upper = scope.order(:duration).offset(k).limit(2).pluck(:duration).map(&:to_f)
+        return lower if f == 0 || upper.nil?
+
+        lower + (upper - lower) * f
+      end
+
+      def format_ms(value)
+        rounded = value.round(6)
+        rounded == rounded.to_i ? rounded.to_i : rounded
+      end
+    end
+  end
+end
@@ -0,0 +1,75 @@
+module RailsPulse
+  module Charts
+    # Counts of requests/operations per period (x-axis) and duration bucket (y-axis)
+    # for the heatmap chart type, grouped in the database. Subclasses provide the
+    # records to count and the route or query they belong to (see RecordFilters).
+    #
+    #   {
+    #     labels: [1700000000, 1700003600, ...],
+    #     buckets: [{ label: "0-25 ms", min: 0, max: 25 }, ..., { label: "5000+ ms", min: 5000, max: nil }],
+    #     counts: [[label_index, bucket_index, count], ...] # non-empty cells only
+    #   }
+    class LatencyHeatmap
+      include RecordFilters
+
+      # Lower bounds of the duration buckets in ms; the last bucket is open ended
+      BUCKET_BOUNDARIES = [ 0, 25, 50, 100, 250, 500, 1000, 2500, 5000 ].freeze
+
+      def initialize(period_type: nil, start_time: nil, end_time: nil, start_duration: nil, ransack_params: {}, disabled_tags: [], show_non_tagged: true)
+        @period_type = period_type
+        @start_time = start_time
+        @end_time = end_time
+        @start_duration = start_duration
+        @ransack_params = ransack_params
+        @disabled_tags = disabled_tags
+        @show_non_tagged = show_non_tagged
+      end
+
+      def self.buckets
+        BUCKET_BOUNDARIES.each_with_index.map do |min, index|
+          max = BUCKET_BOUNDARIES[index + 1]
+          { label: max ? "#{min}-#{max} ms" : "#{min}+ ms", min: min, max: max }
+        end
+      end
+
+      def to_chart_data
+        step = @period_type == :hour ? 1.hour : 1.day
+        labels = (@start_time.to_i..@end_time.to_i).step(step).to_a
+
+        cells = filtered_records
+          .where.not(duration: nil)
+          .group(Arel.sql(label_index_sql(labels)), Arel.sql(bucket_index_sql))
+          .count
+
+        {
+          labels: labels,
+          buckets: self.class.buckets,
+          counts: cells.map { |(label_index, bucket), count| [ label_index.to_i, bucket.to_i, count ] }.sort
+        }
+      end
+
+      private
+
+      # Index of the period containing occurred_at. CASE over the period starts
+      # instead of date functions keeps it database agnostic and in the server's
+      # time zone, like the labels.
+      def label_index_sql(labels)
+        column = "#{records.table_name}.occurred_at"
+        conditions = labels.each_with_index.reverse_each.map do |label, index|
+          "WHEN #{column} >= #{records.connection.quote(Time.at(label))} THEN #{index}"
+        end
+
+        "CASE #{conditions.join(' ')} ELSE 0 END"
+      end
+
+      def bucket_index_sql
+        column = "#{records.table_name}.duration"
+        conditions = BUCKET_BOUNDARIES.each_with_index.drop(1).reverse.map do |min, index|
+          "WHEN #{column} >= #{min} THEN #{index}"
+        end
+
+        "CASE #{conditions.join(' ')} ELSE 0 END"
+      end
+    end
+  end
+end
@@ -0,0 +1,41 @@
+module RailsPulse
+  module Charts
+    # Narrows the requests/operations counted by the record based charts (latency
+    # heatmap, duration histogram) with the filters the summary based charts next to
+    # them apply: the page's ransack params, the time range, the duration threshold
+    # and the global tag filters on the route or query. Includers set the instance
+    # variables below and provide the records and their taggable route or query.
+    module RecordFilters
+      private
+
+      def filtered_records
+        return records.none if excluded_by_tag_filters?
+
+        scope = records.ransack(@ransack_params || {}).result
+        scope = scope.where(occurred_at: Time.at(@start_time)...Time.at(@end_time))
+        scope = scope.where(duration: @start_duration..) if @start_duration && @start_duration > 0
+        scope
+      end
+
+      # Matches tags the same way as Summary.with_tag_filters
+      def excluded_by_tag_filters?
+        disabled_tags = (@disabled_tags || []).reject { |tag| tag == "non_tagged" }
+        show_non_tagged = @show_non_tagged != false
+        return false if disabled_tags.empty? && show_non_tagged
+
+        candidates = taggable.class.where(id: taggable.id)
+        disabled_tags.each { |tag| candidates = candidates.without_tag(tag) }
+        candidates = candidates.with_tags unless show_non_tagged
+        !candidates.exists?
+      end
+
+      def records
+        raise NotImplementedError
+      end
+
+      def taggable
+        raise NotImplementedError
+      end
+    end
+  end
+end
@@ -2,8 +2,6 @@ module RailsPulse
   module Dashboard
     module Tables
       class SlowRoutes
-        include RailsPulse::FormattingHelper
-
         def initialize(disabled_tags: [], show_non_tagged: true)
           @disabled_tags = disabled_tags
           @show_non_tagged = show_non_tagged
@@ -42,7 +40,7 @@ module RailsPulse
               route_link: RailsPulse::Engine.routes.url_helpers.route_path(record.route_id),
               average_time: record.avg_duration.to_f.round(0),
               request_count: record.request_count,
-              last_request: time_ago_in_words(record.last_seen)
+              last_request: record.last_seen
             }
           end
 
@@ -52,7 +50,7 @@ module RailsPulse
               { field: :route_path, label: "Route", link_to: :route_link, class: "w-48", cell_class: "truncate-cell" },
               { field: :average_time, label: "Average Time", class: "w-32" },
               { field: :request_count, label: "Requests", class: "w-24" },
-              { field: :last_request, label: "Last Request", class: "w-32" }
+              { field: :last_request, label: "Last Request", class: "w-32", format: :relative_time }
             ],
             data: data_rows
           }
@@ -0,0 +1,22 @@
+module RailsPulse
+  module Queries
+    module Charts
+      class DurationHistogram < RailsPulse::Charts::DurationHistogram
+        def initialize(query:, **options)
+          super(**options)
+          @query = query
+        end
+
+        private
+
+        def records
+          Operation.where(query_id: @query.id)
+        end
+
+        def taggable
+          @query
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,24 @@
+module RailsPulse
+  module Queries
+    module Charts
+      class LatencyHeatmap < RailsPulse::Charts::LatencyHeatmap
+        UNITS = "executions"
+
+        def initialize(query:, **options)
+          super(**options)
+          @query = query
+        end
+
+        private
+
+        def records
+          Operation.where(query_id: @query.id)
+        end
+
+        def taggable
+          @query
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,22 @@
+module RailsPulse
+  module Routes
+    module Charts
+      class DurationHistogram < RailsPulse::Charts::DurationHistogram
+        def initialize(route:, **options)
+          super(**options)
+          @route = route
+        end
+
+        private
+
+        def records
+          Request.where(route_id: @route.id)
+        end
+
+        def taggable
+          @route
+        end
+      end
+    end
+  end
+end
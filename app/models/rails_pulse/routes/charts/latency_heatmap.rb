@@ -0,0 +1,24 @@
+module RailsPulse
+  module Routes
+    module Charts
+      class LatencyHeatmap < RailsPulse::Charts::LatencyHeatmap
+        UNITS = "requests"
+
+        def initialize(route:, **options)
+          super(**options)
+          @route = route
+        end
+
+        private
+
+        def records
+          Request.where(route_id: @route.id)
+        end
+
+        def taggable
+          @route
+        end
+      end
+    end
+  end
+end
@@ -123,6 +123,26 @@ RailsPulse.configure do |config|
   # Set to false in production to avoid storing potentially sensitive information
   config.capture_job_arguments = true
 
+  # ====================================================================================================
+  #                                              KIOSK MODE
+  # ====================================================================================================
+  # Kiosk mode (open any page with ?kiosk=1) is meant for wall displays: it hides navigation and
+  # filters, enlarges metric cards and charts, cycles through these pages and refreshes them.
+  # Available pages: :dashboard, :slowest_routes, :slowest_queries, :failing_jobs (needs track_jobs)
+
+  # config.kiosk_pages = [ :dashboard, :slowest_routes, :slowest_queries, :failing_jobs ]
+  # config.kiosk_rotation_interval = 30.seconds # How long each page is shown
+  # config.kiosk_refresh_interval = 15.seconds  # How often the page's data is refreshed
+
+  # ====================================================================================================
+  #                                              STALE DATA
+  # ====================================================================================================
+  # Metric cards are built from the summaries SummaryJob writes every hour. When requests or job runs
+  # from an hour that ended longer ago than this haven't been summarized, pages show a warning with a
+  # button to refresh the cards. Hours without traffic never count as stale. Set to nil to disable.
+
+  # config.stale_data_threshold = 2.hours
+
   # ====================================================================================================
   #                                            DATABASE CONFIGURATION
   # ====================================================================================================
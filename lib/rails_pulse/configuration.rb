@@ -1,5 +1,8 @@
 module RailsPulse
   class Configuration
+    # Pages kiosk mode can cycle through
+    KIOSK_PAGES = [ :dashboard, :slowest_routes, :slowest_queries, :failing_jobs ].freeze
+
     attr_accessor :enabled,
                   :route_thresholds,
                   :request_thresholds,
@@ -26,6 +29,10 @@ module RailsPulse
                   :job_adapters,
                   :capture_job_arguments,
                   :mount_dashboard,
+                  :kiosk_pages,
+                  :kiosk_rotation_interval,
+                  :kiosk_refresh_interval,
+                  :stale_data_threshold,
                   :logger,
                   :async
 
@@ -73,6 +80,14 @@ module RailsPulse
       @mount_dashboard = true
       @logger = nil
 
+      # Kiosk (wall display) mode settings
+      @kiosk_pages = KIOSK_PAGES.dup
+      @kiosk_rotation_interval = 30.seconds
+      @kiosk_refresh_interval = 15.seconds
+
+      # Warn on pages whose summaries haven't been refreshed for this long (nil disables)
+      @stale_data_threshold = 2.hours
+
       # Tracking mode settings
       @async = true
 
@@ -215,6 +230,25 @@ module RailsPulse
       unless [ true, false ].include?(@mount_dashboard)
         raise ArgumentError, "mount_dashboard must be true or false, got #{@mount_dashboard}"
       end
+
+      unless @kiosk_pages.is_a?(Array) && @kiosk_pages.any?
+        raise ArgumentError, "kiosk_pages must be a non-empty array, got #{@kiosk_pages.inspect}"
+      end
+
+      unknown_pages = @kiosk_pages - KIOSK_PAGES
+      if unknown_pages.any?
+        raise ArgumentError, "Unknown kiosk_pages #{unknown_pages.inspect}, expected any of #{KIOSK_PAGES.inspect}"
+      end
+
+      { kiosk_rotation_interval: @kiosk_rotation_interval, kiosk_refresh_interval: @kiosk_refresh_interval }.each do |name, interval|
+        unless interval.respond_to?(:seconds) && interval.to_i > 0
+          raise ArgumentError, "#{name} must be a positive time duration (e.g., 30.seconds), got #{interval}"
+        end
+      end
+
+      unless @stale_data_threshold.nil? || (@stale_data_threshold.respond_to?(:seconds) && @stale_data_threshold.to_i > 0)
+        raise ArgumentError, "stale_data_threshold must be a positive time duration (e.g., 2.hours) or nil, got #{@stale_data_threshold}"
+      end
     end
 
     def validate_tracking_settings!
@@ -15,4 +15,35 @@ class ZoomRangeConcernTest < ActionController::TestCase
   # TODO: Test normalize_zoom_times normalizes to hour boundaries for ranges <=25 hours
   # TODO: Test normalize_zoom_times normalizes to day boundaries for ranges >25 hours
   # TODO: Test that zoom times are returned as integers (Unix timestamps)
+
+  test "setup_zoom_range with selected range covers the first through the last selected column" do
+    controller = TestController.new
+    main_start = Time.zone.parse("2024-01-01 00:00:00").to_i
+    main_end = Time.zone.parse("2024-01-01 23:59:59").to_i
+    controller.params = ActionController::Parameters.new(
+      selected_start_time: Time.zone.parse("2024-01-01 10:00:00").to_i.to_s,
+      selected_end_time: Time.zone.parse("2024-01-01 12:00:00").to_i.to_s
+    )
+
+    _, _, table_start_time, table_end_time = controller.setup_zoom_range(main_start, main_end)
+
+    assert_equal Time.zone.parse("2024-01-01 10:00:00").to_i, table_start_time
+    assert_equal Time.zone.parse("2024-01-01 12:59:59").to_i, table_end_time
+  end
+
+  test "setup_zoom_range gives selected column precedence over selected range" do
+    controller = TestController.new
+    main_start = Time.zone.parse("2024-01-01 00:00:00").to_i
+    main_end = Time.zone.parse("2024-01-01 23:59:59").to_i
+    controller.params = ActionController::Parameters.new(
+      selected_column_time: Time.zone.parse("2024-01-01 15:00:00").to_i.to_s,
+      selected_start_time: Time.zone.parse("2024-01-01 10:00:00").to_i.to_s,
+      selected_end_time: Time.zone.parse("2024-01-01 12:00:00").to_i.to_s
+    )
+
+    _, _, table_start_time, table_end_time = controller.setup_zoom_range(main_start, main_end)
+
+    assert_equal Time.zone.parse("2024-01-01 15:00:00").to_i, table_start_time
+    assert_equal Time.zone.parse("2024-01-01 15:59:59").to_i, table_end_time
+  end
 end
@@ -33,6 +33,23 @@ class RailsPulse::ApplicationControllerTest < ActionDispatch::IntegrationTest
     assert_equal 0, session[:pagination_limit]  # "invalid".to_i returns 0
   end
 
+  test "set_global_filters keeps the date range when none is submitted" do
+    patch rails_pulse_engine.settings_global_filters_path, params: { start_time: "2026-01-01 00:00", end_time: "2026-01-02 00:00" }
+    patch rails_pulse_engine.settings_global_filters_path, params: { performance_threshold: "slow" }
+
+    assert_equal "2026-01-01 00:00", session[:global_filters]["start_time"]
+    assert_equal "slow", session[:global_filters]["performance_threshold"]
+  end
+
+  test "set_global_filters removes the date range when it is submitted empty" do
+    patch rails_pulse_engine.settings_global_filters_path, params: { start_time: "2026-01-01 00:00", end_time: "2026-01-02 00:00" }
+    patch rails_pulse_engine.settings_global_filters_path, params: { date_range: "", performance_threshold: "slow" }
+
+    assert_nil session[:global_filters]["start_time"]
+    assert_nil session[:global_filters]["end_time"]
+    assert_equal "slow", session[:global_filters]["performance_threshold"]
+  end
+
   test "authentication is disabled by default" do
     RailsPulse.configuration.stubs(:authentication_enabled).returns(false)
     get rails_pulse_engine.root_path
@@ -73,8 +90,38 @@ class RailsPulse::ApplicationControllerTest < ActionDispatch::IntegrationTest
     assert_response :unauthorized
   end
 
+  test "unsummarized_since is nil when every request is summarized" do
+    create_request(occurred_at: Time.current)
+    RailsPulse::SummaryService.new("hour", Time.current).perform
+
+    get rails_pulse_engine.root_path
+
+    assert_nil controller.send(:unsummarized_since)
+  end
+
+  test "unsummarized_since is the hour of the oldest request after the newest hourly summary" do
+    RailsPulse::Summary.where(period_type: "hour").where("period_end > ?", 4.hours.ago).delete_all
+    create_request(occurred_at: 3.hours.ago.beginning_of_hour + 10.minutes)
+
+    get rails_pulse_engine.root_path
+
+    assert_operator controller.send(:unsummarized_since), :<=, 3.hours.ago.beginning_of_hour
+  end
+
   private
 
+  def create_request(occurred_at:)
+    RailsPulse::Request.create!(
+      route: rails_pulse_routes(:api_users),
+      duration: 100,
+      occurred_at: occurred_at,
+      status: 200,
+      is_error: false,
+      request_uuid: SecureRandom.uuid,
+      controller_action: "Api::UsersController#index"
+    )
+  end
+
   def rails_pulse_engine
     RailsPulse::Engine.routes.url_helpers
   end
@@ -31,6 +31,15 @@ class RailsPulse::DashboardControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
   end
 
+  test "should render refreshable tables in frames and sparklines with stable ids" do
+    get rails_pulse.root_path
+
+    assert_response :success
+    assert_select "turbo-frame#slow_routes"
+    assert_select "turbo-frame#slow_queries"
+    assert_select "[data-controller~='rails-pulse--chart'][id$='_sparkline']"
+  end
+
   private
 
   def rails_pulse
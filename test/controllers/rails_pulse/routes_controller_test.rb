@@ -53,6 +53,45 @@ class RailsPulse::RoutesControllerTest < ActionDispatch::IntegrationTest
     assert_equal RailsPulse::Routes::Charts::AverageResponseTimes, controller.send(:chart_class)
   end
 
+  test "uses the latency heatmap on the show page only" do
+    controller = RailsPulse::RoutesController.new
+
+    controller.stubs(:action_name).returns("index")
+
+    assert_nil controller.send(:heatmap_chart_class)
+
+    controller.stubs(:action_name).returns("show")
+
+    assert_equal RailsPulse::Routes::Charts::LatencyHeatmap, controller.send(:heatmap_chart_class)
+  end
+
+  test "uses the duration histogram on the show page only" do
+    controller = RailsPulse::RoutesController.new
+
+    controller.stubs(:action_name).returns("index")
+
+    assert_nil controller.send(:histogram_chart_class)
+
+    controller.stubs(:action_name).returns("show")
+
+    assert_equal RailsPulse::Routes::Charts::DurationHistogram, controller.send(:histogram_chart_class)
+  end
+
+  test "selected duration bucket narrows the requests table" do
+    controller = RailsPulse::RoutesController.new
+    controller.instance_variable_set(:@selected_duration_min, 100.0)
+    controller.instance_variable_set(:@selected_duration_max, 250.0)
+
+    params = controller.send(:apply_duration_bucket, { duration_gteq: 500 }, lower: :duration, upper: :duration)
+
+    assert_in_delta(500.0, params[:duration_gteq])
+    assert_in_delta(250.0, params[:duration_lt])
+
+    params = controller.send(:apply_duration_bucket, {}, lower: :duration, upper: :duration)
+
+    assert_in_delta(100.0, params[:duration_gteq])
+  end
+
   test "default table sort" do
     controller = RailsPulse::RoutesController.new
 
@@ -96,6 +135,47 @@ class RailsPulse::RoutesControllerTest < ActionDispatch::IntegrationTest
     assert_not_nil assigns(:table_data)
   end
 
+  test "index action loads previous period chart data when comparing" do
+    setup_basic_test_data
+
+    get rails_pulse.routes_path, params: { compare: "previous" }
+
+    assert_response :success
+    assert_not_nil assigns(:comparison_chart_data)
+    assert_equal assigns(:chart_data).keys, assigns(:comparison_chart_data).keys
+  end
+
+  test "comparison period is the preset period rather than the padded range" do
+    controller = RailsPulse::RoutesController.new
+
+    { "last_day" => 1.day, "last_week" => 1.week }.each do |range, period|
+      controller.instance_variable_set(:@selected_time_range, range)
+
+      assert_equal period, controller.send(:comparison_period)
+    end
+  end
+
+  test "last month comparison shifts by whole days across a month boundary" do
+    setup_basic_test_data
+
+    travel_to Time.zone.local(2026, 3, 31, 12) do
+      get rails_pulse.routes_path, params: { compare: "previous", q: { period_start_range: "last_month" } }
+
+      assert_response :success
+      assert_equal 32.days, controller.send(:comparison_period)
+      # With a calendar month Jan 29, 30 and 31 would all land on Feb 28
+      assert_equal assigns(:chart_data).keys, assigns(:comparison_chart_data).keys
+    end
+  end
+
+  test "index action skips previous period chart data by default" do
+    setup_basic_test_data
+
+    get rails_pulse.routes_path
+
+    assert_response :success
+    assert_nil assigns(:comparison_chart_data)
+  end
 
   test "controller inherits from ApplicationController" do
     assert_operator RailsPulse::RoutesController, :<, RailsPulse::ApplicationController
@@ -1,72 +1,83 @@
 require "test_helper"
 
 class RailsPulse::ChartFormattersTest < ActiveSupport::TestCase
-  test "period_as_time_or_date returns time formatter for recent data" do
+  test "reference builds a named formatter reference with params" do
+    reference = RailsPulse::ChartFormatters.reference(:duration_ms, decimals: 1, locale: "en-GB")
+
+    assert_equal({ name: "duration_ms", params: { decimals: 1, locale: "en-GB" } }, reference)
+  end
+
+  test "reference defaults to empty params" do
+    assert_equal({ name: "bytes", params: {} }, RailsPulse::ChartFormatters.reference("bytes"))
+  end
+
+  test "period_as_time_or_date returns hour formatter for recent data" do
     formatter = RailsPulse::ChartFormatters.period_as_time_or_date(24)
 
-    assert_includes formatter, "function(value)"
-    assert_includes formatter, "getHours()"
-    assert_includes formatter, "padStart(2, '0')"
-    assert_includes formatter, ":00"
+    assert_equal "unix_hour", formatter[:name]
   end
 
   test "period_as_time_or_date returns date formatter for older data" do
     formatter = RailsPulse::ChartFormatters.period_as_time_or_date(26)
 
-    assert_includes formatter, "function(value)"
-    assert_includes formatter, "toLocaleDateString"
-    assert_includes formatter, "month: 'short'"
-    assert_includes formatter, "day: 'numeric'"
+    assert_equal "unix_short_date", formatter[:name]
   end
 
   test "period_as_time_or_date boundary condition at 25 hours" do
     time_formatter = RailsPulse::ChartFormatters.period_as_time_or_date(25)
     date_formatter = RailsPulse::ChartFormatters.period_as_time_or_date(26)
 
-    assert_includes time_formatter, "getHours()"
-    assert_includes date_formatter, "toLocaleDateString"
+    assert_equal "unix_hour", time_formatter[:name]
+    assert_equal "unix_short_date", date_formatter[:name]
   end
 
-  test "tooltip_as_time_or_date_with_marker returns date formatter for older data" do
+  test "tooltip_as_time_or_date_with_marker returns axis tooltip with date label for older data" do
     formatter = RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(26)
 
-    assert_includes formatter, "function(params)"
-    assert_includes formatter, "toLocaleDateString"
-    assert_includes formatter, "month: 'short'"
-    assert_includes formatter, "day: 'numeric'"
-    assert_includes formatter, "data.marker"
-    assert_includes formatter, "parseInt(data.data)"
-    assert_includes formatter, "ms"
+    assert_equal "axis_tooltip", formatter[:name]
+    assert_equal "unix_short_date", formatter[:params][:label]
+    assert_equal "ms", formatter[:params][:units]
+    assert_equal "integer", formatter[:params][:value]
   end
 
   test "tooltip_as_time_or_date_with_marker boundary condition at 25 hours" do
     time_formatter = RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(25)
     date_formatter = RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(26)
 
-    assert_includes time_formatter, "getHours()"
-    assert_includes date_formatter, "toLocaleDateString"
+    assert_equal "unix_hour", time_formatter[:params][:label]
+    assert_equal "unix_short_date", date_formatter[:params][:label]
+  end
+
+  test "daily labels are shown in the server time zone" do
+    Time.use_zone("America/New_York") do
+      assert_equal "America/New_York", RailsPulse::ChartFormatters.period_as_time_or_date(26)[:params][:timeZone]
+      assert_equal "America/New_York", RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(26)[:params][:timeZone]
+      assert_equal "America/New_York", RailsPulse::ChartFormatters.heatmap_tooltip_as_time_or_date(26, units: "requests")[:params][:timeZone]
+    end
+  end
+
+  test "hourly labels are shown in the display time zone" do
+    assert_empty RailsPulse::ChartFormatters.period_as_time_or_date(24)[:params]
+    assert_nil RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(24)[:params][:timeZone]
   end
 
-  test "formatters generate valid JavaScript" do
+  test "formatters do not contain JavaScript source" do
     time_formatter = RailsPulse::ChartFormatters.period_as_time_or_date(24)
     tooltip_formatter = RailsPulse::ChartFormatters.tooltip_as_time_or_date_with_marker(24)
 
-    # Basic JavaScript syntax validation
-    assert_includes time_formatter, "function"
-    assert_includes time_formatter, "return"
-    assert_includes tooltip_formatter, "function"
-    assert_includes tooltip_formatter, "return"
+    refute_includes time_formatter.to_json, "function"
+    refute_includes tooltip_formatter.to_json, "function"
   end
 
   test "formatters handle edge cases" do
     # Test with 0 hours
     formatter = RailsPulse::ChartFormatters.period_as_time_or_date(0)
 
-    assert_includes formatter, "getHours()"
+    assert_equal "unix_hour", formatter[:name]
 
     # Test with very large number
     formatter = RailsPulse::ChartFormatters.period_as_time_or_date(1000)
 
-    assert_includes formatter, "toLocaleDateString"
+    assert_equal "unix_short_date", formatter[:name]
   end
 end
@@ -17,7 +17,8 @@ class RailsPulse::ChartHelperTest < ActionView::TestCase
                              tooltip_formatter: "formatT")
 
     assert_equal [ 5, 5, 5, 5 ], opts[:series][:itemStyle][:borderRadius]
-    assert_equal "__FUNCTION_START__formatT__FUNCTION_END__", opts[:tooltip][:formatter]
+    assert_equal({ name: "formatT", params: {} }, opts[:tooltip][:formatter])
+    assert_equal({ name: "formatX", params: {} }, opts[:xAxis][:axisLabel][:formatter])
   end
 
   test "line_chart_options deep merges series and applies formatters" do
@@ -28,7 +29,20 @@ class RailsPulse::ChartHelperTest < ActionView::TestCase
     assert opts[:series][:smooth]
     assert_equal 3, opts[:series][:lineStyle][:width]
     assert_equal "circle", opts[:series][:symbol]
-    assert_equal "__FUNCTION_START__formatT__FUNCTION_END__", opts[:tooltip][:formatter]
+    assert_equal({ name: "formatT", params: {} }, opts[:tooltip][:formatter])
+  end
+
+  test "bar_chart_options accepts parameterized formatter references" do
+    opts = bar_chart_options(tooltip_formatter: chart_formatter(:axis_tooltip, units: "ms", decimals: 1))
+
+    assert_equal({ name: "axis_tooltip", params: { units: "ms", decimals: 1 } }, opts[:tooltip][:formatter])
+  end
+
+  test "chart_formatter serializes to a named reference" do
+    options = { yAxis: { axisLabel: { formatter: chart_formatter(:req_per_min, locale: "de-DE") } } }
+    parsed = JSON.parse(options.to_json)
+
+    assert_equal({ "name" => "req_per_min", "params" => { "locale" => "de-DE" } }, parsed["yAxis"]["axisLabel"]["formatter"])
   end
 
   test "sparkline_chart_options hides axes and grid" do
@@ -38,6 +52,30 @@ class RailsPulse::ChartHelperTest < ActionView::TestCase
     refute opts[:yAxis][:show]
   end
 
+  test "heatmap_chart_options uses an item tooltip, a visual map and cell selection" do
+    opts = heatmap_chart_options(tooltip_formatter: chart_formatter(:heatmap_tooltip, units: "requests"))
+
+    assert_equal "item", opts[:tooltip][:trigger]
+    assert_equal({ name: "heatmap_tooltip", params: { units: "requests" } }, opts[:tooltip][:formatter])
+    assert opts[:visualMap][:calculable]
+    assert_equal "single", opts[:series][:selectedMode]
+  end
+
+  test "heatmap_chart_options looks up the zoom window in the heatmap labels" do
+    data = { labels: [ 100, 200, 300, 400 ], buckets: [], counts: [] }
+    opts = heatmap_chart_options(zoom: true, zoom_start: 190, zoom_end: 310, chart_data: data)
+
+    assert_equal 1, opts[:dataZoom].first[:startValue]
+    assert_equal 2, opts[:dataZoom].first[:endValue]
+  end
+
+  test "histogram_chart_options leaves count labels without units" do
+    opts = histogram_chart_options
+
+    assert_equal "{value}", opts[:yAxis][:axisLabel][:formatter]
+    assert_equal "10%", opts[:series][:barCategoryGap]
+  end
+
   test "area_chart_options sets symbol and line style" do
     opts = area_chart_options
 
@@ -149,4 +187,153 @@ class RailsPulse::ChartHelperTest < ActionView::TestCase
 
     assert_match(/data-rails-pulse--chart-theme-value="railspulse"/, html)
   end
+
+  test "render_stimulus_chart includes comparison data when provided" do
+    data = { 100 => 1, 200 => 2 }
+    html = render_stimulus_chart(data, type: "bar", comparison: { data: { 100 => 3, 200 => 4 }, units: "ms" })
+
+    doc = Nokogiri::HTML(html)
+    comparison_attr = doc.at_css("[data-rails-pulse--chart-comparison-value]")
+    parsed_comparison = JSON.parse(comparison_attr["data-rails-pulse--chart-comparison-value"])
+
+    assert_equal({ "100" => 3, "200" => 4 }, parsed_comparison["data"])
+    assert_equal "ms", parsed_comparison["units"]
+  end
+
+  test "render_stimulus_chart omits comparison value when there is no comparison data" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", comparison: { data: nil, units: "ms" })
+
+    assert_no_match(/data-rails-pulse--chart-comparison-value/, html)
+  end
+
+  test "render_stimulus_chart includes annotations when provided" do
+    annotations = [ { time: 150, label: "Deploy v1.2", type: "deploy", description: "Bumped Rails" } ]
+    html = render_stimulus_chart({ 100 => 1, 200 => 2 }, type: "bar", annotations: annotations)
+
+    doc = Nokogiri::HTML(html)
+    annotations_attr = doc.at_css("[data-rails-pulse--chart-annotations-value]")
+    parsed_annotations = JSON.parse(annotations_attr["data-rails-pulse--chart-annotations-value"])
+
+    assert_equal 1, parsed_annotations.length
+    assert_equal "Deploy v1.2", parsed_annotations.first["label"]
+    assert_equal 150, parsed_annotations.first["time"]
+  end
+
+  test "render_stimulus_chart leaves the export menu enabled by default" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar")
+
+    assert_no_match(/data-rails-pulse--chart-exportable-value/, html)
+  end
+
+  test "render_stimulus_chart disables the export menu with export: false" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", export: false)
+
+    assert_match(/data-rails-pulse--chart-exportable-value="false"/, html)
+  end
+
+  test "chart_thresholds returns the configured thresholds with labels and colors" do
+    thresholds = RailsPulse.configuration.route_thresholds
+
+    assert_equal [
+      { value: thresholds[:slow], label: "Warning #{thresholds[:slow]} ms", color: "#ca8a04" },
+      { value: thresholds[:very_slow], label: "Slow #{thresholds[:very_slow]} ms", color: "#ea580c" },
+      { value: thresholds[:critical], label: "Critical #{thresholds[:critical]} ms", color: "#dc2626" }
+    ], chart_thresholds(:route)
+  end
+
+  test "render_stimulus_chart includes thresholds when provided" do
+    thresholds = [ { value: 500, label: "Slow", color: "#ea580c" } ]
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", id: "threshold_chart", thresholds: thresholds, threshold_bands: true)
+
+    chart = Nokogiri::HTML(html).at_css("#threshold_chart")
+
+    assert_equal JSON.parse(thresholds.to_json), JSON.parse(chart["data-rails-pulse--chart-thresholds-value"])
+    assert_equal "true", chart["data-rails-pulse--chart-threshold-bands-value"]
+  end
+
+  test "render_stimulus_chart omits thresholds by default" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar")
+
+    assert_no_match(/data-rails-pulse--chart-threshold/, html)
+  end
+
+  test "render_stimulus_chart includes the group when provided" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", group: "dashboard")
+
+    assert_match(/data-rails-pulse--chart-group-value="dashboard"/, html)
+  end
+
+  test "render_stimulus_chart omits the group by default" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar")
+
+    assert_no_match(/data-rails-pulse--chart-group-value/, html)
+  end
+
+  test "render_stimulus_chart enables downsampling with defaults for downsample: true" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", downsample: true)
+
+    doc = Nokogiri::HTML(html)
+    downsample_attr = doc.at_css("[data-rails-pulse--chart-downsample-value]")
+
+    assert_equal({}, JSON.parse(downsample_attr["data-rails-pulse--chart-downsample-value"]))
+  end
+
+  test "render_stimulus_chart passes downsampling settings through" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", downsample: { threshold: 5000, method: "minmax" })
+
+    doc = Nokogiri::HTML(html)
+    downsample_attr = doc.at_css("[data-rails-pulse--chart-downsample-value]")
+
+    assert_equal({ "threshold" => 5000, "method" => "minmax" }, JSON.parse(downsample_attr["data-rails-pulse--chart-downsample-value"]))
+  end
+
+  test "render_stimulus_chart leaves downsampling off by default" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar")
+
+    assert_no_match(/data-rails-pulse--chart-downsample-value/, html)
+  end
+
+  test "render_stimulus_chart renders the chart skeleton until the chart is drawn" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", id: "skeleton_chart")
+
+    doc = Nokogiri::HTML(html)
+
+    assert doc.at_css("#skeleton_chart .skeleton-container .skeleton-chart")
+  end
+
+  test "render_stimulus_chart renders lazily unless lazy: false" do
+    assert_no_match(/data-rails-pulse--chart-lazy-value/, render_stimulus_chart({ 100 => 1 }, type: "bar"))
+    assert_match(/data-rails-pulse--chart-lazy-value="false"/, render_stimulus_chart({ 100 => 1 }, type: "bar", lazy: false))
+  end
+
+  test "render_stimulus_chart makes the chart keyboard navigable" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", id: "keyboard_chart")
+
+    chart = Nokogiri::HTML(html).at_css("#keyboard_chart")
+
+    assert_equal "0", chart["tabindex"]
+    assert_equal "keydown->rails-pulse--chart#navigate update->rails-pulse--chart#update", chart["data-action"]
+    assert_nil chart["aria-keyshortcuts"]
+  end
+
+  test "render_stimulus_chart keeps charts without the export menu out of the tab order" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", id: "sparkline_chart", export: false)
+
+    assert_nil Nokogiri::HTML(html).at_css("#sparkline_chart")["tabindex"]
+  end
+
+  test "render_stimulus_chart announces extra keyboard shortcuts" do
+    html = render_stimulus_chart({ 100 => 1 }, type: "bar", id: "zoom_chart", keyshortcuts: "+ - 0")
+
+    assert_equal "+ - 0", Nokogiri::HTML(html).at_css("#zoom_chart")["aria-keyshortcuts"]
+  end
+
+  test "chart_zoom_presets uses whole hours on hourly charts" do
+    assert_equal [ [ "3h", 3.hours ], [ "6h", 6.hours ], [ "12h", 12.hours ] ], chart_zoom_presets(25)
+  end
+
+  test "chart_zoom_presets uses whole days on daily charts and skips presets spanning the range" do
+    assert_equal [ [ "2d", 2.days ] ], chart_zoom_presets(168)
+    assert_equal [ [ "2d", 2.days ], [ "7d", 7.days ], [ "14d", 14.days ] ], chart_zoom_presets(720)
+  end
 end
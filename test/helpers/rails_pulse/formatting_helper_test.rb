@@ -85,4 +85,41 @@ class RailsPulse::FormattingHelperTest < ActionView::TestCase
       human_readable_occurred_at("invalid-date")
     end
   end
+
+  test "timestamp_tag renders a time tag for the timestamp controller" do
+    time = Time.utc(2024, 1, 15, 14, 30, 0)
+    html = Nokogiri::HTML.fragment(timestamp_tag(time))
+    element = html.at_css("time")
+
+    assert_equal "2024-01-15T14:30:00.000Z", element["datetime"]
+    assert_equal "rails-pulse--timestamp", element["data-controller"]
+    assert_equal "%b %d, %Y %l:%M %p", element["data-rails-pulse--timestamp-format-value"]
+    assert_equal time.getlocal.strftime("%b %d, %Y %l:%M %p"), element.text
+  end
+
+  test "timestamp_tag uses the given format and parses strings" do
+    html = Nokogiri::HTML.fragment(timestamp_tag("2024-01-15 14:30:05 +02:00", "%H:%M:%S"))
+    element = html.at_css("time")
+
+    assert_equal "2024-01-15T12:30:05.000Z", element["datetime"]
+    assert_equal "%H:%M:%S", element["data-rails-pulse--timestamp-format-value"]
+  end
+
+  test "timestamp_tag handles nil" do
+    assert_equal "", timestamp_tag(nil)
+  end
+
+  test "relative_time_tag renders a time tag for the relative time controller" do
+    time = 3.minutes.ago
+    html = Nokogiri::HTML.fragment(relative_time_tag(time))
+    element = html.at_css("time")
+
+    assert_equal "3m ago", element.text
+    assert_equal time.getutc.iso8601, element["datetime"]
+    assert_equal "rails-pulse--relative-time", element["data-controller"]
+  end
+
+  test "relative_time_tag handles nil" do
+    assert_equal "Unknown", relative_time_tag(nil)
+  end
 end
@@ -0,0 +1,52 @@
+require "test_helper"
+
+class RailsPulse::KioskHelperTest < ActionView::TestCase
+  include RailsPulse::KioskHelper
+
+  test "kiosk_mode? is turned on with kiosk=1" do
+    stubs(:params).returns(ActionController::Parameters.new)
+
+    assert_not kiosk_mode?
+
+    stubs(:params).returns(ActionController::Parameters.new(kiosk: "1"))
+
+    assert_predicate self, :kiosk_mode?
+  end
+
+  test "kiosk_pages lists the configured pages in order with kiosk paths" do
+    RailsPulse.configuration.stubs(:kiosk_pages).returns([ :slowest_queries, :dashboard ])
+
+    pages = kiosk_pages
+
+    assert_equal [ "Slowest Queries", "Dashboard" ], pages.map { |page| page[:title] }
+    assert_equal "/queries", URI(pages.first[:path]).path
+    assert_equal({ "kiosk" => "1", "q" => { "s" => "avg_duration_sort desc" } }, Rack::Utils.parse_nested_query(URI(pages.first[:path]).query))
+    assert_equal "/?kiosk=1", pages.last[:path]
+  end
+
+  test "kiosk_pages skips failing jobs when jobs are not tracked" do
+    RailsPulse.configuration.stubs(:kiosk_pages).returns([ :dashboard, :failing_jobs ])
+    RailsPulse.configuration.stubs(:track_jobs).returns(false)
+
+    assert_equal [ "Dashboard" ], kiosk_pages.map { |page| page[:title] }
+  end
+
+  test "current_kiosk_page matches the request path" do
+    request.path = "/routes"
+
+    assert_equal "Slowest Routes", current_kiosk_page[:title]
+  end
+
+  test "kiosk_exit_path keeps the other params" do
+    request.path = "/routes"
+    request.query_string = "kiosk=1&zoom_start_time=100"
+
+    assert_equal "/routes?zoom_start_time=100", kiosk_exit_path
+  end
+
+  private
+
+  def rails_pulse
+    RailsPulse::Engine.routes.url_helpers
+  end
+end
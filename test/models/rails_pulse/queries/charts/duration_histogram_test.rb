@@ -0,0 +1,80 @@
+require "test_helper"
+
+module RailsPulse
+  module Queries
+    module Charts
+      class DurationHistogramTest < ActiveSupport::TestCase
+        SQL = "SELECT * FROM histogram_tests WHERE id = ?".freeze
+
+        setup do
+          @start_time = 1.day.ago.beginning_of_hour
+          @end_time = Time.current.end_of_hour
+          @request = RailsPulse::Request.create!(
+            route: rails_pulse_routes(:api_users),
+            duration: 100,
+            status: 200,
+            is_error: false,
+            request_uuid: SecureRandom.uuid,
+            occurred_at: 1.hour.ago
+          )
+
+          durations = [ 10 ] * 50 + [ 30 ] * 30 + [ 700 ] * 15 + [ 5000 ] * 5
+          durations.each { |duration| create_operation(duration: duration) }
+          @query = RailsPulse::Operation.last.query
+        end
+
+        test "bins durations up to the p99 with an open ended last bin" do
+          data = chart.to_chart_data
+
+          assert_equal 100, data[:total]
+          assert_equal({ label: "0-500 ms", min: 0, max: 500, count: 80 }, data[:bins].first)
+          assert_equal({ label: "5000+ ms", min: 5000, max: nil, count: 5 }, data[:bins].last)
+          assert_equal 100, data[:bins].sum { |bin| bin[:count] }
+        end
+
+        test "calculates percentiles like the summaries" do
+          percentiles = chart.to_chart_data[:percentiles]
+
+          assert_in_delta(20.0, percentiles[:p50])
+          assert_in_delta(915.0, percentiles[:p95])
+          assert_in_delta(5000.0, percentiles[:p99])
+        end
+
+        test "only counts executions of the query above the selected duration threshold" do
+          create_operation(duration: 900, label: "SELECT * FROM histogram_others")
+
+          assert_equal 20, chart(start_duration: 500).to_chart_data[:total]
+        end
+
+        test "counts nothing for a query hidden by the tag filters" do
+          @query.add_tag("internal")
+
+          assert_equal 0, chart(disabled_tags: [ "internal" ]).to_chart_data[:total]
+          assert_equal 100, chart(disabled_tags: [ "other" ]).to_chart_data[:total]
+        end
+
+        private
+
+        def create_operation(duration:, label: SQL)
+          RailsPulse::Operation.create!(
+            request: @request,
+            operation_type: "sql",
+            label: label,
+            duration: duration,
+            occurred_at: 1.hour.ago
+          )
+        end
+
+        def chart(start_duration: 0, **options)
+          DurationHistogram.new(
+            query: @query,
+            start_time: @start_time.to_i,
+            end_time: @end_time.to_i,
+            start_duration: start_duration,
+            **options
+          )
+        end
+      end
+    end
+  end
+end
@@ -0,0 +1,79 @@
+require "test_helper"
+
+module RailsPulse
+  module Queries
+    module Charts
+      class LatencyHeatmapTest < ActiveSupport::TestCase
+        SQL = "SELECT * FROM heatmap_tests WHERE id = ?".freeze
+
+        setup do
+          @start_time = 3.hours.ago.beginning_of_hour
+          @end_time = Time.current.end_of_hour
+          @request = RailsPulse::Request.create!(
+            route: rails_pulse_routes(:api_users),
+            duration: 100,
+            status: 200,
+            is_error: false,
+            request_uuid: SecureRandom.uuid,
+            occurred_at: @start_time
+          )
+
+          [ [ 0, 10 ], [ 0, 12 ], [ 0, 700 ], [ 2, 30 ], [ 2, 6000 ] ].each do |hours, duration|
+            create_operation(duration: duration, occurred_at: @start_time + hours.hours + 5.minutes)
+          end
+          @query = RailsPulse::Operation.last.query
+        end
+
+        test "counts executions per period and duration bucket" do
+          data = chart.to_chart_data
+
+          assert_equal (@start_time.to_i..@end_time.to_i).step(1.hour).to_a, data[:labels]
+          assert_equal [ [ 0, 0, 2 ], [ 0, 5, 1 ], [ 2, 1, 1 ], [ 2, 8, 1 ] ], data[:counts]
+        end
+
+        test "skips executions below the selected duration threshold" do
+          data = chart(start_duration: 500).to_chart_data
+
+          assert_equal [ [ 0, 5, 1 ], [ 2, 8, 1 ] ], data[:counts]
+        end
+
+        test "only counts executions of the query" do
+          create_operation(duration: 10, occurred_at: @start_time + 5.minutes, label: "SELECT * FROM heatmap_others")
+
+          assert_equal [ 0, 0, 2 ], chart.to_chart_data[:counts].first
+        end
+
+        test "counts nothing for a query hidden by the tag filters" do
+          @query.add_tag("internal")
+
+          assert_empty chart(disabled_tags: [ "internal" ]).to_chart_data[:counts]
+          assert_not_empty chart(disabled_tags: [ "other" ]).to_chart_data[:counts]
+          assert_not_empty chart(show_non_tagged: false).to_chart_data[:counts]
+        end
+
+        private
+
+        def create_operation(duration:, occurred_at:, label: SQL)
+          RailsPulse::Operation.create!(
+            request: @request,
+            operation_type: "sql",
+            label: label,
+            duration: duration,
+            occurred_at: occurred_at
+          )
+        end
+
+        def chart(start_duration: 0, **options)
+          LatencyHeatmap.new(
+            query: @query,
+            period_type: :hour,
+            start_time: @start_time.to_i,
+            end_time: @end_time.to_i,
+            start_duration: start_duration,
+            **options
+          )
+        end
+      end
+    end
+  end
+end
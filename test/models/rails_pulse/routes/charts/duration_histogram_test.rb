@@ -0,0 +1,82 @@
+require "test_helper"
+
+module RailsPulse
+  module Routes
+    module Charts
+      class DurationHistogramTest < ActiveSupport::TestCase
+        setup do
+          @route = RailsPulse::Route.create!(method: "GET", path: "/histogram_test")
+          @start_time = 1.day.ago.beginning_of_hour
+          @end_time = Time.current.end_of_hour
+
+          durations = [ 10 ] * 50 + [ 30 ] * 30 + [ 700 ] * 15 + [ 5000 ] * 5
+          durations.each do |duration|
+            RailsPulse::Request.create!(
+              route: @route,
+              duration: duration,
+              status: 200,
+              is_error: false,
+              request_uuid: SecureRandom.uuid,
+              occurred_at: 1.hour.ago
+            )
+          end
+        end
+
+        test "bins durations up to the p99 with an open ended last bin" do
+          data = chart.to_chart_data
+
+          assert_equal 100, data[:total]
+          assert_equal({ label: "0-500 ms", min: 0, max: 500, count: 80 }, data[:bins].first)
+          assert_equal({ label: "5000+ ms", min: 5000, max: nil, count: 5 }, data[:bins].last)
+          assert_equal 100, data[:bins].sum { |bin| bin[:count] }
+        end
+
+        test "calculates percentiles like the summaries" do
+          percentiles = chart.to_chart_data[:percentiles]
+
+          assert_in_delta(20.0, percentiles[:p50])
+          assert_in_delta(915.0, percentiles[:p95])
+          assert_in_delta(5000.0, percentiles[:p99])
+        end
+
+        test "skips requests below the selected duration threshold" do
+          data = chart(start_duration: 500).to_chart_data
+
+          assert_equal 20, data[:total]
+        end
+
+        test "applies the page's ransack and tag filters" do
+          RailsPulse::Request.create!(
+            route: @route, duration: 40, status: 500, is_error: true,
+            request_uuid: SecureRandom.uuid, occurred_at: 1.hour.ago
+          )
+
+          assert_equal 1, chart(ransack_params: { status_eq: 500 }).to_chart_data[:total]
+          assert_equal 0, chart(show_non_tagged: false).to_chart_data[:total]
+        end
+
+        test "returns no bins without requests" do
+          data = RailsPulse::Routes::Charts::DurationHistogram.new(
+            route: RailsPulse::Route.create!(method: "GET", path: "/histogram_empty"),
+            start_time: @start_time.to_i,
+            end_time: @end_time.to_i
+          ).to_chart_data
+
+          assert_equal({ bins: [], percentiles: {}, total: 0 }, data)
+        end
+
+        private
+
+        def chart(start_duration: 0, **options)
+          DurationHistogram.new(
+            route: @route,
+            start_time: @start_time.to_i,
+            end_time: @end_time.to_i,
+            start_duration: start_duration,
+            **options
+          )
+        end
+      end
+    end
+  end
+end
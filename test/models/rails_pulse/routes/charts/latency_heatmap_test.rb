@@ -0,0 +1,91 @@
+require "test_helper"
+
+module RailsPulse
+  module Routes
+    module Charts
+      class LatencyHeatmapTest < ActiveSupport::TestCase
+        setup do
+          @route = RailsPulse::Route.create!(method: "GET", path: "/heatmap_test")
+          @start_time = 3.hours.ago.beginning_of_hour
+          @end_time = Time.current.end_of_hour
+
+          [ [ 0, 10 ], [ 0, 12 ], [ 0, 700 ], [ 2, 30 ], [ 2, 6000 ] ].each do |hours, duration|
+            RailsPulse::Request.create!(
+              route: @route,
+              duration: duration,
+              status: 200,
+              is_error: false,
+              request_uuid: SecureRandom.uuid,
+              occurred_at: @start_time + hours.hours + 5.minutes
+            )
+          end
+        end
+
+        test "counts requests per period and duration bucket" do
+          data = chart.to_chart_data
+
+          assert_equal (@start_time.to_i..@end_time.to_i).step(1.hour).to_a, data[:labels]
+          assert_equal [ [ 0, 0, 2 ], [ 0, 5, 1 ], [ 2, 1, 1 ], [ 2, 8, 1 ] ], data[:counts]
+        end
+
+        test "describes the buckets with an open ended last bucket" do
+          buckets = chart.to_chart_data[:buckets]
+
+          assert_equal({ label: "0-25 ms", min: 0, max: 25 }, buckets.first)
+          assert_equal({ label: "5000+ ms", min: 5000, max: nil }, buckets.last)
+        end
+
+        test "skips requests below the selected duration threshold" do
+          data = chart(start_duration: 500).to_chart_data
+
+          assert_equal [ [ 0, 5, 1 ], [ 2, 8, 1 ] ], data[:counts]
+        end
+
+        test "only counts requests of the route" do
+          other_route = RailsPulse::Route.create!(method: "GET", path: "/heatmap_other")
+          RailsPulse::Request.create!(
+            route: other_route, duration: 10, status: 200, is_error: false,
+            request_uuid: SecureRandom.uuid, occurred_at: @start_time + 5.minutes
+          )
+
+          assert_equal [ 0, 0, 2 ], chart.to_chart_data[:counts].first
+        end
+
+        test "applies the page's ransack filters" do
+          RailsPulse::Request.create!(
+            route: @route, duration: 40, status: 500, is_error: true,
+            request_uuid: SecureRandom.uuid, occurred_at: @start_time + 1.hour + 5.minutes
+          )
+
+          data = chart(ransack_params: { status_eq: 500 }).to_chart_data
+
+          assert_equal [ [ 1, 1, 1 ] ], data[:counts]
+        end
+
+        test "counts nothing for a route hidden by the tag filters" do
+          @route.add_tag("internal")
+
+          assert_empty chart(disabled_tags: [ "internal" ]).to_chart_data[:counts]
+          assert_not_empty chart(disabled_tags: [ "other" ]).to_chart_data[:counts]
+        end
+
+        test "counts nothing for an untagged route when non-tagged routes are hidden" do
+          assert_empty chart(show_non_tagged: false).to_chart_data[:counts]
+        end
+
+        private
+
+        def chart(start_duration: 0, **options)
+          LatencyHeatmap.new(
+            route: @route,
+            period_type: :hour,
+            start_time: @start_time.to_i,
+            end_time: @end_time.to_i,
+            start_duration: start_duration,
+            **options
+          )
+        end
+      end
+    end
+  end
+end
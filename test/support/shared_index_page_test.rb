@@ -238,6 +238,27 @@ class SharedIndexPageTest < ApplicationSystemTestCase
     validate_table_data(page_type: page_type, expected_data: zoomed_table_data, filter_applied: "Recent Zoom")
   end
 
+  test "reset zoom button clears zoom parameters and restores the full table" do
+    zoom_params = {
+      "zoom_start_time" => 2.5.hours.ago.to_i.to_s,
+      "zoom_end_time" => 1.5.hours.ago.to_i.to_s
+    }
+
+    visit "/rails_pulse#{page_path}?#{zoom_params.to_query}"
+
+    # Wait for the chart to be ready before using the zoom controls
+    assert_selector "[data-chart-rendered='true']", wait: 5
+    assert_selector "table tbody tr", wait: 5
+
+    click_button "Reset zoom"
+
+    # Wait for the server request to complete
+    sleep 1
+
+    assert_no_match(/zoom_start_time|zoom_end_time/, page.current_url, "URL should not contain zoom parameters after reset")
+    validate_table_data(page_type: page_type, expected_data: default_scope_data, filter_applied: "Zoom Reset")
+  end
+
   test "column selection filters table and persists sorting" do
     visit_rails_pulse_path page_path
 
@@ -25,8 +25,8 @@ class CustomDateRangeTest < ApplicationSystemTestCase
     # Verify UI swapped correctly
     assert_custom_picker_visible
 
-    # Verify datepicker is configured to show 2 months
-    assert_selector 'input[data-rails-pulse--datepicker-show-months-value="2"]', visible: false
+    # Verify the custom range input takes typed expressions as well as the calendar
+    assert_selector '[data-controller="rails-pulse--time-expression"] input[placeholder*="last 3h"]'
 
     # Verify close button (X) is visible
     assert_selector '[data-action*="custom-range#showSelect"]', visible: true
@@ -146,6 +146,60 @@ class DashboardIndexPageTest < ApplicationSystemTestCase
     end
   end
 
+  def test_auto_refresh_interval_is_remembered_and_refreshes_in_place
+    visit_rails_pulse_path "/"
+
+    select "Every 15s", from: "Auto-refresh"
+
+    visit_rails_pulse_path "/"
+
+    assert_select "Auto-refresh", selected: "Every 15s"
+
+    # Refresh right away instead of waiting for the interval
+    page.execute_script(<<~JS)
+      const element = document.querySelector('[data-controller="rails-pulse--auto-refresh"]')
+      Stimulus.getControllerForElementAndIdentifier(element, 'rails-pulse--auto-refresh').refresh()
+    JS
+
+    assert_text(/Updated \d/)
+    assert_selector "#dashboard_average_response_time_chart"
+    assert_selector "turbo-frame#slow_routes table"
+    assert_selector "turbo-frame#metric_cards [id$='_sparkline']"
+  ensure
+    page.execute_script("localStorage.removeItem('auto-refresh-interval')")
+  end
+
+  def test_stale_summaries_show_a_warning_that_refreshes_the_cards
+    visit_rails_pulse_path "/"
+
+    assert_text "AVERAGE RESPONSE TIME", wait: 5
+    assert_no_text "hasn't been summarized yet"
+
+    # The summary job stopped three hours ago
+    RailsPulse::Summary.where(period_type: "hour").where("period_end > ?", 4.hours.ago).delete_all
+    RailsPulse::Request.create!(
+      route: rails_pulse_routes(:api_users),
+      duration: 100,
+      occurred_at: 3.hours.ago.beginning_of_hour + 10.minutes,
+      status: 200,
+      is_error: false,
+      request_uuid: "test-unsummarized",
+      controller_action: "Api::UsersController#index"
+    )
+    visit_rails_pulse_path "/"
+
+    within "turbo-frame#metric_cards" do
+      assert_text "hasn't been summarized yet"
+
+      # The summary job caught up, refreshing the cards clears the warning
+      4.downto(0) { |hours| RailsPulse::SummaryService.new("hour", hours.hours.ago).perform }
+      click_button "Refresh"
+
+      assert_no_text "hasn't been summarized yet", wait: 5
+      assert_text "AVERAGE RESPONSE TIME"
+    end
+  end
+
   private
 
 
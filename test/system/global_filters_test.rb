@@ -251,6 +251,87 @@ class GlobalFiltersTest < ApplicationSystemTestCase
     assert_tag_enabled("api")
   end
 
+  test "typed date range expressions" do
+    visit_rails_pulse_path "/routes"
+    open_global_filters_modal
+
+    within(".dialog__content") do
+      # === STEP 1: Invalid expressions are explained and block the form ===
+      fill_in "Date Range", with: "tomorrow"
+
+      assert_selector ".input-feedback[data-invalid]", text: "Couldn't read \"tomorrow\""
+
+      click_button "Apply Filters"
+
+      assert_selector ".dialog__content"
+
+      # === STEP 2: Valid expressions show the range they resolve to ===
+      fill_in "Date Range", with: "last 2 days"
+
+      assert_no_selector ".input-feedback[data-invalid]"
+      assert_selector ".input-feedback", text: "(2d)"
+
+      click_button "Apply Filters"
+    end
+
+    assert_no_selector ".dialog__content", wait: 3
+    assert_global_filters_active
+    assert_custom_picker_visible
+    assert_selector "table tbody tr", wait: 5
+  end
+
+  test "filter presets workflow" do
+    visit_rails_pulse_path "/routes"
+
+    # === STEP 1: Save the current filters as a preset ===
+    toggle_tag_filter("api")
+    open_global_filters_modal
+
+    within(".dialog__content") do
+      fill_in "Save as Preset", with: "Without API"
+      click_button "Save"
+
+      assert_button "Without API"
+
+      # Saving under the same name again asks before replacing it
+      fill_in "Save as Preset", with: "Without API"
+      dismiss_confirm(/Replace the existing "Without API" preset/) { click_button "Save" }
+
+      assert_button "Without API", count: 1
+    end
+
+    # === STEP 2: Apply it from the header menu after clearing the filters ===
+    clear_global_filters
+    assert_tag_enabled("api")
+
+    find('a[aria-label="Filter presets"]').click
+    click_button "Without API"
+
+    assert_selector '[data-rails-pulse--global-filters-target="presetLabel"]', text: "Without API", wait: 5
+    assert_tag_disabled("api")
+
+    # === STEP 3: A shared link saves and applies its preset ===
+    visit_rails_pulse_path "/queries?filter_preset=Only+API&filter_preset_tags=api"
+
+    assert_selector '[data-rails-pulse--global-filters-target="presetLabel"]', text: "Only API", wait: 5
+    assert_no_current_path(/filter_preset/)
+    assert_tag_enabled("api")
+    assert_tag_disabled("database")
+
+    # === STEP 4: A shared link doesn't replace a local preset of that name unless confirmed ===
+    dismiss_confirm(/Replace your "Without API" preset/) do
+      visit_rails_pulse_path "/queries?filter_preset=Without+API&filter_preset_tags=database"
+    end
+
+    assert_no_current_path(/filter_preset/)
+    saved = page.evaluate_script("JSON.parse(localStorage.getItem('global-filter-presets'))")
+    kept = saved.select { |preset| preset["name"] == "Without API" }
+    assert_equal 1, kept.size
+    assert_not_equal [ "database" ], kept.first["enabled_tags"]
+  ensure
+    page.execute_script("localStorage.removeItem('global-filter-presets')")
+  end
+
   private
 
   def create_comprehensive_test_data
@@ -223,4 +223,37 @@ class RequestsIndexPageTest < ApplicationSystemTestCase
       assert_selector "table tbody tr", minimum: 1
     end
   end
+
+  test "load on scroll appends the next pages to the table" do
+    route = rails_pulse_routes(:api_test)
+    25.times do |index|
+      RailsPulse::Request.create!(
+        route: route,
+        duration: 100 + index,
+        occurred_at: (index + 1).minutes.ago,
+        status: 200,
+        is_error: false,
+        request_uuid: "test-infinite-scroll-#{index}",
+        controller_action: "Api::TestController#index"
+      )
+    end
+
+    visit_rails_pulse_path "/requests?limit=10"
+
+    assert_selector "table tbody tr", count: 10, wait: 5
+
+    check "Load on scroll"
+
+    # The pagination bar is in view, so the next pages load without scrolling further
+    assert_selector "table tbody tr", minimum: 20, wait: 5
+    assert_no_text "Page 1 of"
+    assert_button "Back to top"
+
+    # The setting is remembered on the next visit
+    visit_rails_pulse_path "/requests?limit=10"
+
+    assert_checked_field "Load on scroll"
+  ensure
+    page.execute_script("localStorage.removeItem('infinite-scroll')")
+  end
 end
@@ -48,4 +48,22 @@ class RequestsShowPageTest < ApplicationSystemTestCase
     # Should not show operations table
     assert_no_selector "table.operations-table"
   end
+
+  def test_display_timezone_applies_to_request_timestamps
+    visit_rails_pulse_path "/requests/#{@users_request_1.id}"
+
+    occurred_at = @users_request_1.occurred_at.getutc
+    find('a[aria-label="Display timezone"]').click
+    find("select#display_time_zone").select("UTC")
+
+    assert_selector "time[title='UTC']", text: occurred_at.strftime("%b %d, %Y %l:%M %p").squish
+    assert_selector '[data-rails-pulse--time-zone-picker-target="label"]', text: "UTC"
+
+    # The setting sticks across page loads
+    visit_rails_pulse_path "/requests/#{@users_request_1.id}"
+
+    assert_selector "time[title='UTC']", text: occurred_at.strftime("%b %d, %Y %l:%M %p").squish
+  ensure
+    page.execute_script("localStorage.removeItem('display-time-zone')")
+  end
 end